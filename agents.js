@@ -0,0 +1,328 @@
+/**
+ * Shopping agent link conversion shared by the content script and the popup.
+ * Every agent knows how to build its product link from a canonical { platform, id }
+ * and how to read one of its own links back into that pair, so a link in any agent's
+ * format can be turned into the link for every other agent.
+ *
+ * Supported agent link shapes:
+ * - Superbuy, AllChinaBuy: a marketplace URL in the `url` parameter
+ * - CSSBuy: item-<id>.html (Taobao), item-micro-<id>.html (Weidian), item-1688-<id>.html
+ * - CNFans, MuleBuy: product/?shop_type=<taobao|weidian|ali_1688>&id=<id>
+ * - HooBuy: product/<1|2|0>/<id> (Taobao, Weidian, 1688)
+ *
+ * Links from other agents are still recognised when they carry the marketplace URL
+ * in a query parameter.
+ *
+ * Users can add their own agents, or replace a built-in one, with a URL template in which
+ * {platform}, {id} and {url} stand for the platform key, the product ID and the encoded
+ * marketplace URL. A template can be overridden per platform for agents that spell the
+ * platform differently. Custom agents are stored in the `customAgents` setting and merged into
+ * AGENT_CONFIG.agents by applyCustomAgents.
+ */
+const AGENT_CONFIG = {
+  shopTypes: { taobao: 'taobao', weidian: 'weidian', 1688: 'ali_1688' },
+  hoobuyPlatformIds: { taobao: '1', weidian: '2', 1688: '0' },
+  agents: {
+    superbuy: {
+      label: 'Superbuy',
+      hosts: ['superbuy.com'],
+      baseUrl: 'https://www.superbuy.com/en/page/buy/?nTag=Home-search&from=search-input&url=',
+      parseUrl: urlObj => parseWrappedMarketplaceUrl(urlObj)
+    },
+
+    allchinabuy: {
+      label: 'AllChinaBuy',
+      hosts: ['allchinabuy.com'],
+      baseUrl: 'https://www.allchinabuy.com/en/page/buy/?nTag=Home-search&from=search-input&url=',
+      parseUrl: urlObj => parseWrappedMarketplaceUrl(urlObj)
+    },
+    cssbuy: {
+      label: 'CSSBuy',
+      hosts: ['cssbuy.com'],
+      baseUrl: 'https://www.cssbuy.com/item-',
+      formatUrl: (platform, productId) => {
+        if (platform === 'weidian') {
+          return `https://www.cssbuy.com/item-micro-${productId}.html`;
+        }
+        if (platform === '1688') {
+          return `https://www.cssbuy.com/item-1688-${productId}.html`;
+        }
+        return `https://www.cssbuy.com/item-${productId}.html`;
+      },
+      parseUrl: urlObj => {
+        const match = urlObj.pathname.match(/\/item-(?:(micro|1688)-)?(\d+)\.html/);
+        if (!match) return null;
+        const platform = { micro: 'weidian', 1688: '1688' }[match[1]] || 'taobao';
+        return { platform, id: match[2] };
+      }
+    },
+    cnfans: {
+      label: 'CNFans',
+      hosts: ['cnfans.com'],
+      baseUrl: 'https://cnfans.com/product/',
+      formatUrl: (platform, productId) => {
+        const shopType = platform === '1688' ? 'ali_1688' : platform;
+        return `https://cnfans.com/product/?shop_type=${shopType}&id=${productId}`;
+      },
+      parseUrl: urlObj => parseShopTypeUrl(urlObj)
+    },
+    mulebuy: {
+      label: 'MuleBuy',
+      hosts: ['mulebuy.com'],
+      baseUrl: 'https://mulebuy.com/product/',
+      formatUrl: (platform, productId) => {
+        const shopType = platform === '1688' ? 'ali_1688' : platform;
+        return `https://mulebuy.com/product/?shop_type=${shopType}&id=${productId}`;
+      },
+      parseUrl: urlObj => parseShopTypeUrl(urlObj)
+    },
+    hoobuy: {
+      label: 'HooBuy',
+      hosts: ['hoobuy.com'],
+      baseUrl: 'https://hoobuy.com/product/',
+      formatUrl: (platform, productId) => {
+        const platformId = AGENT_CONFIG.hoobuyPlatformIds[platform];
+        return `https://hoobuy.com/product/${platformId}/${productId}`;
+      },
+      parseUrl: urlObj => {
+        const match = urlObj.pathname.match(/\/product\/(\d)\/(\d+)/);
+        const platform = Object.keys(AGENT_CONFIG.hoobuyPlatformIds)
+          .find(key => AGENT_CONFIG.hoobuyPlatformIds[key] === match?.[1]);
+        return platform ? { platform, id: match[2] } : null;
+      }
+    }
+  }
+};
+
+const BUILT_IN_AGENTS = { ...AGENT_CONFIG.agents };
+
+const AGENT_TEMPLATE_PATTERN = /(\{platform\}|\{id\}|\{url\})/;
+
+/**
+ * Fills a custom agent's URL template for a product.
+ * @param {string} template - The template, using {platform}, {id} and {url} placeholders
+ * @param {string} platform - The marketplace platform
+ * @param {string} productId - The product ID
+ * @returns {string} The agent URL
+ * @example
+ * // Returns "https://example.com/item/weidian/42"
+ * fillAgentTemplate('https://example.com/item/{platform}/{id}', 'weidian', '42')
+ */
+function fillAgentTemplate(template, platform, productId) {
+  return template
+    .replace(/\{platform\}/g, platform)
+    .replace(/\{id\}/g, productId)
+    .replace(/\{url\}/g, encodeURIComponent(canonicalMarketplaceUrl(platform, productId)));
+}
+
+/**
+ * Matches a URL against a custom agent's URL template, ignoring the protocol and a leading www.
+ * @param {string} template - The template, using {platform}, {id} and {url} placeholders
+ * @param {string} url - The URL to match
+ * @returns {Object|null} The canonical { platform, id }, or null if the URL doesn't fit the template
+ */
+function parseAgentTemplate(template, url) {
+  const strip = value => value.replace(/^https?:\/\//i, '').replace(/^www\./i, '');
+  const groups = [];
+  const pattern = strip(template).split(AGENT_TEMPLATE_PATTERN).map(part => {
+    if (!AGENT_TEMPLATE_PATTERN.test(part)) {
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+    groups.push(part);
+    return { '{platform}': '(taobao|weidian|1688)', '{id}': '(\\d+)', '{url}': '([^&#]+)' }[part];
+  }).join('');
+
+  const match = strip(url).match(new RegExp(`^${pattern}`, 'i'));
+  if (!match) {
+    return null;
+  }
+
+  const values = Object.fromEntries(groups.map((group, index) => [group, match[index + 1]]));
+  if (values['{url}']) {
+    return parseMarketplaceUrl(decodeURIComponent(values['{url}']));
+  }
+  return values['{id}'] ? { platform: values['{platform}']?.toLowerCase(), id: values['{id}'] } : null;
+}
+
+/**
+ * Derives the registry key for a custom agent from its name.
+ * @param {string} label - The agent name entered by the user
+ * @returns {string} The key, such as 'mybuy' for 'My Buy'
+ */
+function getCustomAgentKey(label) {
+  return label.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Turns a stored custom agent into a registry entry that formats and parses links
+ * like the built-in agents do.
+ * @param {Object} definition - { label, template, platformTemplates }, where
+ * `platformTemplates` maps platforms to templates that replace `template`
+ * @returns {Object} The agent registry entry
+ */
+function createTemplateAgent({ label, template, platformTemplates = {} }) {
+  const templates = Object.keys(MARKETPLACE_CONFIG.canonicalUrls)
+    .map(platform => [platform, platformTemplates[platform] || template]);
+
+  let hosts = [];
+  try {
+    const sample = fillAgentTemplate(template, 'taobao', '1');
+    hosts = [new URL(sample).hostname.replace(/^www\./, '')];
+  } catch (error) {
+    // An incomplete template only formats links until its host can be read
+  }
+
+  return {
+    label,
+    hosts,
+    template,
+    platformTemplates,
+    custom: true,
+    formatUrl: (platform, productId) =>
+      fillAgentTemplate(platformTemplates[platform] || template, platform, productId),
+    parseUrl: urlObj => {
+      for (const [platform, platformTemplate] of templates) {
+        const parsed = parseAgentTemplate(platformTemplate, urlObj.href);
+        if (parsed) return { ...parsed, platform: parsed.platform || platform };
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Merges the user's custom agents into AGENT_CONFIG.agents. Custom agents whose key matches a
+ * built-in agent replace it, while a later custom agent with the same key as an earlier one is
+ * ignored; agents removed by the user are dropped again and the built-in ones restored. The
+ * registry is updated in place, so PLATFORM_CONFIG.agents stays in step.
+ * @param {Object[]} customAgents - The stored custom agents, as { label, template, platformTemplates }
+ */
+function applyCustomAgents(customAgents = []) {
+  Object.keys(AGENT_CONFIG.agents).forEach(name => delete AGENT_CONFIG.agents[name]);
+  Object.assign(AGENT_CONFIG.agents, BUILT_IN_AGENTS);
+
+  const applied = new Set();
+  customAgents
+    .filter(definition => definition.label && definition.template)
+    .forEach(definition => {
+      const key = getCustomAgentKey(definition.label);
+      if (!key || applied.has(key)) {
+        console.warn('Ignoring custom agent with a duplicate or empty name:', definition.label);
+        return;
+      }
+      applied.add(key);
+      AGENT_CONFIG.agents[key] = createTemplateAgent(definition);
+    });
+}
+
+/**
+ * Reads a marketplace link carried in any query parameter of an agent URL.
+ * @param {URL} urlObj - The parsed agent URL
+ * @returns {Object|null} The canonical { platform, id }
+ */
+function parseWrappedMarketplaceUrl(urlObj) {
+  for (const value of urlObj.searchParams.values()) {
+    const parsed = parseMarketplaceUrl(value);
+    if (parsed) return parsed;
+  }
+  return null;
+}
+
+/**
+ * Reads a `shop_type` and `id` pair, as used by CNFans and MuleBuy.
+ * @param {URL} urlObj - The parsed agent URL
+ * @returns {Object|null} The canonical { platform, id }
+ */
+function parseShopTypeUrl(urlObj) {
+  const shopType = getParamIgnoreCase(urlObj, 'shop_type');
+  const id = getParamIgnoreCase(urlObj, 'id');
+  const platform = Object.keys(AGENT_CONFIG.shopTypes)
+    .find(key => AGENT_CONFIG.shopTypes[key] === shopType?.toLowerCase());
+  return platform && /^\d+$/.test(id || '') ? { platform, id } : null;
+}
+
+/**
+ * Reads an agent product link back into its marketplace platform and product ID.
+ * @param {string} url - The agent URL, with or without protocol
+ * @returns {Object|null} { platform, id, agent }, where `agent` is the key of the recognised
+ * agent or null for an unknown agent that wraps the marketplace URL, or null if the URL
+ * isn't a recognised agent product link
+ * @example
+ * // Returns { platform: 'weidian', id: '7234120843', agent: 'cssbuy' }
+ * parseAgentUrl('https://www.cssbuy.com/item-micro-7234120843.html')
+ */
+function parseAgentUrl(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+  } catch (error) {
+    return null;
+  }
+
+  const host = urlObj.hostname.toLowerCase();
+  const agentName = Object.keys(AGENT_CONFIG.agents).find(name =>
+    AGENT_CONFIG.agents[name].hosts.some(domain => host === domain || host.endsWith(`.${domain}`))
+  );
+
+  const parsed = agentName
+    ? AGENT_CONFIG.agents[agentName].parseUrl(urlObj)
+    : parseWrappedMarketplaceUrl(urlObj);
+  return parsed ? { ...parsed, agent: agentName || null } : null;
+}
+
+/**
+ * Normalises any supported marketplace or agent product URL into its platform and product ID.
+ * @param {string} url - The URL, with or without protocol
+ * @returns {Object|null} The canonical { platform, id }, or null if the URL isn't recognised
+ */
+function parseProductUrl(url) {
+  const parsed = parseMarketplaceUrl(url) || parseAgentUrl(url);
+  return parsed ? { platform: parsed.platform, id: parsed.id } : null;
+}
+
+/**
+ * Builds an agent's product link for a platform and product ID.
+ * @param {string} agentName - Key of the agent in AGENT_CONFIG.agents
+ * @param {string} platform - The marketplace platform ('taobao', 'weidian' or '1688')
+ * @param {string} productId - The product ID
+ * @returns {string} The agent URL for the product
+ * @example
+ * // Returns "https://hoobuy.com/product/1/12345"
+ * formatAgentUrl('hoobuy', 'taobao', '12345')
+ */
+function formatAgentUrl(agentName, platform, productId) {
+  const agent = AGENT_CONFIG.agents[agentName];
+
+  if (agent.formatUrl) {
+    return agent.formatUrl(platform, productId);
+  }
+
+  return `${agent.baseUrl}${encodeURIComponent(canonicalMarketplaceUrl(platform, productId))}`;
+}
+
+/**
+ * Converts a marketplace or agent product URL into the equivalent link for every agent.
+ * @param {string} url - The URL to convert
+ * @returns {Object|null} { platform, id, marketplaceUrl, agents }, where `agents` maps every
+ * agent key to its link, or null if the URL isn't recognised
+ * @example
+ * // Returns { platform: 'taobao', id: '12345', marketplaceUrl: 'https://item.taobao.com/item.htm?id=12345',
+ * //           agents: { superbuy: '...', cssbuy: 'https://www.cssbuy.com/item-12345.html', ... } }
+ * convertProductUrl('https://cnfans.com/product/?shop_type=taobao&id=12345')
+ */
+function convertProductUrl(url) {
+  const parsed = parseProductUrl(url);
+  if (!parsed) {
+    return null;
+  }
+
+  const agents = Object.fromEntries(
+    Object.keys(AGENT_CONFIG.agents).map(name => [name, formatAgentUrl(name, parsed.platform, parsed.id)])
+  );
+
+  return {
+    ...parsed,
+    marketplaceUrl: canonicalMarketplaceUrl(parsed.platform, parsed.id),
+    agents
+  };
+}
@@ -1,49 +1,850 @@
+importScripts('links.js', 'cache.js');
+
+const REQUEST_QUEUE_CONFIG = {
+  concurrency: 2,
+  requestsPerMinute: 30,
+  maxRetries: 3,
+  baseDelay: 1000
+};
+
+const JADESHIP_CONFIG = {
+  platforms: {
+    taobao: 'https://www.jadeship.com/item/taobao/',
+    weidian: 'https://www.jadeship.com/item/weidian/'
+  },
+  priceClasses: ['rounded-sm', 'bg-muted', 'p-1', 'text-right', 'text-3xl']
+};
+
+const PRICE_WATCH_CONFIG = {
+  alarmName: 'priceWatch',
+  periodInMinutes: 60
+};
+
+const SYNC_CONFIG = {
+  keys: ['settings', 'bookmarks'],
+  mergers: {
+    bookmarks: mergeSyncedBookmarks
+  },
+  stateKey: 'syncState',
+  prefix: 'sync:',
+  maxChunkBytes: 7000,
+  quotaBytes: 102400, // chrome.storage.sync.QUOTA_BYTES
+  pushDelay: 5000
+};
+
+/**
+ * Fetches a jadeship page as text using the same headers and privacy settings for every request.
+ * 
+ * @param {string} url - The URL to fetch
+ * @returns {Promise<string>} The HTML content of the page
+ * @throws {Error} Throws an error if the HTTP response is not OK
+ */
+async function fetchHtml(url) {
+  const response = await fetch(url, {
+    headers: {
+      'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
+      'Accept-Language': 'en-US,en;q=0.5',
+      'Cache-Control': 'no-cache',
+      'Pragma': 'no-cache'
+    },
+    credentials: 'omit',
+    referrerPolicy: 'no-referrer'
+  });
+
+  if (!response.ok) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    error.retryAfter = parseInt(response.headers.get('Retry-After'), 10) || null;
+    throw error;
+  }
+  return response.text();
+}
+
+/**
+ * Central scheduler for every jadeship request made by the extension.
+ * 
+ * @class RequestQueue
+ * @description
+ * - Coalesces identical URLs: callers asking for a URL that is already queued or
+ *   in flight share the same promise
+ * - Caps the number of concurrent requests and the number of requests per minute
+ * - Retries network errors, 429 and 5xx responses with exponential backoff (honouring
+ *   Retry-After)
+ * - Pushes its state to the tabs waiting on it as 'queueState' messages
+ * 
+ * @example
+ * const html = await requestQueue.fetch('https://www.jadeship.com/item/taobao/12345');
+ * 
+ * @property {Map} pending - Promises of queued or in-flight requests keyed by URL
+ * @property {Array} queue - Jobs waiting for a free slot
+ * @property {number} active - Number of requests in flight
+ * @property {number[]} timestamps - Start times of requests made in the last minute
+ */
+class RequestQueue {
+  constructor(config) {
+    this.config = config;
+    this.pending = new Map();
+    this.queue = [];
+    this.active = 0;
+    this.timestamps = [];
+    this.timer = null;
+  }
+
+  fetch(url, tabId = null) {
+    const existing = this.pending.get(url);
+    if (existing) {
+      if (tabId !== null) existing.job.tabIds.add(tabId);
+      return existing.promise;
+    }
+
+    const job = { url, attempt: 0, tabIds: new Set(tabId !== null ? [tabId] : []) };
+    const promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    }).finally(() => {
+      this.pending.delete(url);
+      this.broadcastState(job.tabIds);
+    });
+
+    this.pending.set(url, { job, promise });
+    this.queue.push(job);
+    this.next();
+    return promise;
+  }
+
+  next() {
+    const now = Date.now();
+    this.timestamps = this.timestamps.filter(time => now - time < 60 * 1000);
+
+    while (this.active < this.config.concurrency && this.queue.length > 0) {
+      if (this.timestamps.length >= this.config.requestsPerMinute) {
+        if (!this.timer) {
+          const wait = 60 * 1000 - (now - this.timestamps[0]);
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.next();
+          }, wait);
+        }
+        break;
+      }
+
+      this.execute(this.queue.shift());
+    }
+
+    this.broadcastState();
+  }
+
+  async execute(job) {
+    this.active++;
+    this.timestamps.push(Date.now());
+
+    try {
+      job.resolve(await fetchHtml(job.url));
+    } catch (error) {
+      // fetch rejects without a status when the request never got a response
+      const retryable = error.status === undefined || error.status === 429 || error.status >= 500;
+
+      if (retryable && job.attempt < this.config.maxRetries) {
+        const delay = error.retryAfter
+          ? error.retryAfter * 1000
+          : this.config.baseDelay * 2 ** job.attempt;
+        job.attempt++;
+
+        setTimeout(() => {
+          this.queue.unshift(job);
+          this.next();
+        }, delay);
+      } else {
+        job.reject(error);
+      }
+    } finally {
+      this.active--;
+      this.next();
+    }
+  }
+
+  getState() {
+    return {
+      queued: this.queue.length,
+      active: this.active,
+      pending: this.pending.size,
+      requestsLastMinute: this.timestamps.length,
+      requestsPerMinute: this.config.requestsPerMinute
+    };
+  }
+
+  broadcastState(extraTabIds = []) {
+    const tabIds = new Set(extraTabIds);
+    this.pending.forEach(({ job }) => job.tabIds.forEach(tabId => tabIds.add(tabId)));
+
+    const state = this.getState();
+    tabIds.forEach(tabId => {
+      chrome.tabs.sendMessage(tabId, { type: 'queueState', state }).catch(() => {});
+    });
+  }
+}
+
+const requestQueue = new RequestQueue(REQUEST_QUEUE_CONFIG);
+
+/**
+ * Parsed price data for a marketplace product, as returned by getPriceResult.
+ * 
+ * @typedef {Object} PriceResult
+ * @property {string} platform - The marketplace platform ('taobao' or 'weidian')
+ * @property {string} productId - The marketplace product ID
+ * @property {string|null} provider - Name of the price provider that answered
+ * @property {number|null} price - The (lowest) price, or null when there is none
+ * @property {string} currency - Currency of the price ('cny')
+ * @property {string|null} title - The product title
+ * @property {string} availability - 'available', 'unavailable' or 'unknown'
+ * @property {Object|null} variantRange - { min, max } when variants are priced differently
+ * @property {string|null} errorCode - null, 'NOT_FOUND', 'RATE_LIMITED', 'HTTP_ERROR',
+ * 'NETWORK_ERROR', 'PARSE_ERROR' or 'UNSUPPORTED_PLATFORM' (no provider supports the platform)
+ */
+
+/**
+ * Decodes the HTML entities jadeship uses in text content.
+ * @param {string} text - Text with HTML entities
+ * @returns {string} The decoded text
+ */
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(code))
+    .replace(/&quot;/g, '"')
+    .replace(/&#x27;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
 
 /**
- * Listens for messages from content scripts requesting price data fetching.
- * Sets up a message listener that handles 'fetchPrice' type requests by making a fetch call
- * to the provided URL with specific headers and security settings.
+ * Finds the inner text of the first <span> inside the first element carrying all the given classes.
+ * The service worker has no DOMParser, so the markup is scanned with regular expressions.
+ * 
+ * @param {string} html - The page markup
+ * @param {string[]} classNames - Classes the element must carry, in any order
+ * @returns {string|null} The span text, or null if not found
+ */
+function findSpanTextByClasses(html, classNames) {
+  const elementPattern = /<\w+[^>]*\sclass="([^"]*)"[^>]*>/g;
+  let match;
+
+  while ((match = elementPattern.exec(html)) !== null) {
+    const classes = match[1].split(/\s+/);
+    if (!classNames.every(name => classes.includes(name))) continue;
+
+    const spanMatch = html.slice(elementPattern.lastIndex).match(/<span[^>]*>([\s\S]*?)<\/span>/);
+    return spanMatch ? decodeEntities(spanMatch[1].replace(/<[^>]*>/g, '')).trim() : null;
+  }
+
+  return null;
+}
+
+/**
+ * Parses a jadeship item page into price data. This is the single place that knows
+ * jadeship's markup, so selector fixes only need to happen here.
+ * 
+ * @param {string} html - The jadeship item page
+ * @returns {Object} The price, currency, title, availability, variantRange and errorCode fields of a PriceResult
+ */
+function parseJadeshipItem(html) {
+  const priceText = findSpanTextByClasses(html, JADESHIP_CONFIG.priceClasses);
+  const values = (priceText?.replace(/,/g, '').match(/\d+(?:\.\d+)?/g) || []).map(Number);
+
+  const titleMatch = html.match(/<meta[^>]*property="og:title"[^>]*content="([^"]*)"/) ||
+                     html.match(/<title[^>]*>([\s\S]*?)<\/title>/);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).trim() || null : null;
+
+  if (values.length === 0) {
+    const unavailable = /sold out|out of stock|not available|no longer available|下架/i.test(html);
+    return {
+      price: null,
+      currency: 'cny',
+      title,
+      availability: unavailable ? 'unavailable' : 'unknown',
+      variantRange: null,
+      errorCode: unavailable ? null : 'PARSE_ERROR'
+    };
+  }
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+
+  return {
+    price: min,
+    currency: 'cny',
+    title,
+    availability: 'available',
+    variantRange: max > min ? { min, max } : null,
+    errorCode: null
+  };
+}
+
+/**
+ * A source of marketplace prices.
+ * 
+ * @typedef {Object} PriceProvider
+ * @property {string} name - Unique provider name, recorded on every result it answers
+ * @property {string[]} platforms - Marketplace platforms the provider can look up
+ * @property {Function} lookup - (platform, productId, tabId) => Promise of the price, currency,
+ * title, availability, variantRange and errorCode fields of a PriceResult; may throw on fetch errors
+ */
+
+/**
+ * The provider chain, asked in order until one of them returns a price.
+ * @type {PriceProvider[]}
+ */
+const priceProviders = [];
+
+/**
+ * Adds a provider to the end of the provider chain.
+ * @param {PriceProvider} provider - The provider to register
+ */
+function registerPriceProvider(provider) {
+  if (priceProviders.some(existing => existing.name === provider.name)) {
+    throw new Error(`Price provider already registered: ${provider.name}`);
+  }
+  priceProviders.push(provider);
+}
+
+/**
+ * Maps a failed fetch to a PriceResult error code and availability.
+ * @param {Error} error - The error thrown by fetchHtml
+ * @returns {Object} The availability and errorCode fields
+ */
+function describeFetchError(error) {
+  if (error.status === 404) {
+    return { availability: 'unavailable', errorCode: 'NOT_FOUND' };
+  }
+  if (error.status === 429) {
+    return { availability: 'unknown', errorCode: 'RATE_LIMITED' };
+  }
+  return { availability: 'unknown', errorCode: error.status ? 'HTTP_ERROR' : 'NETWORK_ERROR' };
+}
+
+registerPriceProvider({
+  name: 'jadeship',
+  platforms: Object.keys(JADESHIP_CONFIG.platforms),
+  async lookup(platform, productId, tabId) {
+    const html = await requestQueue.fetch(`${JADESHIP_CONFIG.platforms[platform]}${productId}`, tabId);
+    return parseJadeshipItem(html);
+  }
+});
+
+/**
+ * Looks up the price of a marketplace product through the provider chain.
+ * Providers are asked in registration order; when one fails or has no price, the next one
+ * is asked. Never throws: failures are reported through the result's errorCode, taken from
+ * the last provider asked.
+ * 
+ * @param {string} platform - The marketplace platform ('taobao' or 'weidian')
+ * @param {string} productId - The marketplace product ID
+ * @param {number|null} [tabId=null] - The tab waiting on the result, for queue state updates
+ * @returns {Promise<PriceResult>} The parsed price data, with the answering provider under `provider`
+ */
+async function getPriceResult(platform, productId, tabId = null) {
+  let result = {
+    platform,
+    productId,
+    provider: null,
+    price: null,
+    currency: 'cny',
+    title: null,
+    availability: 'unknown',
+    variantRange: null,
+    errorCode: 'UNSUPPORTED_PLATFORM'
+  };
+
+  for (const provider of priceProviders.filter(p => p.platforms.includes(platform))) {
+    let data;
+    try {
+      data = await provider.lookup(platform, productId, tabId);
+    } catch (error) {
+      console.error(`${provider.name} price lookup error:`, error);
+      data = describeFetchError(error);
+    }
+
+    result = {
+      ...result,
+      price: null,
+      title: null,
+      variantRange: null,
+      ...data,
+      provider: provider.name
+    };
+
+    if (result.price !== null) {
+      return result;
+    }
+  }
+
+  return result;
+}
+
+const productCache = new ProductCacheStore(CACHE_CONFIG);
+
+/**
+ * Product cache operations available to content scripts and the popup, keyed by message type.
+ * Each resolves to the `data` of the response.
+ */
+const CACHE_REQUESTS = {
+  cacheOpen: () => productCache.open().then(() => null),
+  cacheGet: request => productCache.get(request.key),
+  cacheSet: request => productCache.set(request.key, request.value),
+  cacheStats: () => productCache.getStats(),
+  cacheExport: () => productCache.exportEntries(),
+  cacheImport: request => productCache.importEntries(request.data),
+  cacheClear: () => productCache.clear()
+};
+
+/**
+ * Listens for messages from content scripts and the popup requesting price data.
+ * Sets up a message listener that handles 'getPrice' requests by looking up the product
+ * through the price provider chain, 'getQueueState' requests by
+ * reporting the queue state, and the product cache requests in CACHE_REQUESTS.
  * 
  * @param {Object} request - The message request object
- * @param {string} request.type - The type of request ('fetchPrice')
- * @param {string} request.url - The URL to fetch price data from
+ * @param {string} request.type - The type of request ('getPrice', 'getQueueState' or a key of CACHE_REQUESTS)
+ * @param {string} [request.platform] - The marketplace platform of the product
+ * @param {string} [request.productId] - The marketplace product ID
+ * @param {string} [request.key] - The album URL of a cache entry
+ * @param {Object} [request.value] - The product details to cache
+ * @param {Object} [request.data] - A cache export to import
  * @param {Object} sender - Information about the sender of the message
  * @param {Function} sendResponse - Callback function to send response back to the content script
  * @returns {boolean} - Returns true to indicate that the response will be sent asynchronously
  * 
- * @throws {Error} Throws an error if the HTTP response is not OK
- * 
  * @callback sendResponse
  * @param {Object} response - The response object
- * @param {boolean} response.success - Indicates if the fetch was successful
- * @param {string} [response.data] - The fetched HTML content if successful
- * @param {string} [response.error] - Error message if the fetch failed
+ * @param {boolean} response.success - Indicates if a price was found
+ * @param {PriceResult} [response.data] - The parsed price data
+ * @param {Object} response.queue - The request queue state after the request
  */
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-  if (request.type === 'fetchPrice') {
-    fetch(request.url, {
-      headers: {
-        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
-        'Cache-Control': 'no-cache',
-        'Pragma': 'no-cache'
-      },
-      credentials: 'omit',
-      referrerPolicy: 'no-referrer'
-    })
-    .then(response => {
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      return response.text();
-    })
-    .then(html => {
-      sendResponse({ success: true, data: html });
-    })
-    .catch(error => {
-      console.error('Background fetch error:', error);
-      sendResponse({ success: false, error: error.message });
+  if (request.type === 'getPrice') {
+    getPriceResult(request.platform, request.productId, sender.tab?.id ?? null)
+    .then(result => {
+      sendResponse({ success: result.price !== null, data: result, queue: requestQueue.getState() });
     });
     return true;
   }
-});
\ No newline at end of file
+
+  if (request.type === 'getQueueState') {
+    sendResponse({ success: true, queue: requestQueue.getState() });
+  }
+
+  if (CACHE_REQUESTS[request.type]) {
+    CACHE_REQUESTS[request.type](request)
+    .then(data => sendResponse({ success: true, data }))
+    .catch(error => sendResponse({ success: false, error: error.message }));
+    return true;
+  }
+
+  if (request.type === 'setSyncEnabled') {
+    syncManager.enqueue(() => syncManager.setEnabled(request.enabled))
+    .then(() => sendResponse({ success: true }));
+    return true;
+  }
+});
+
+/**
+ * Re-checks the price of every watched bookmark and raises a notification when an item
+ * drops below its target price (or below the last seen price when no target is set),
+ * or comes back in stock. The latest observation is written back to the bookmark, unless it
+ * was removed or stopped being watched while the prices were checked. Watches on platforms no
+ * price provider supports are skipped.
+ * 
+ * @returns {Promise<void>}
+ */
+async function checkWatchedPrices() {
+  const { bookmarks = {} } = await chrome.storage.local.get('bookmarks');
+  const watched = Object.values(bookmarks).filter(bookmark => bookmark.watch);
+  const observations = new Map();
+
+  for (const bookmark of watched) {
+    const { watch } = bookmark;
+    if (!priceProviders.some(provider => provider.platforms.includes(watch.platform))) {
+      continue;
+    }
+
+    const result = await getPriceResult(watch.platform, watch.id);
+
+    if (result.availability === 'unknown') {
+      console.error(`Price watch error for ${bookmark.url}:`, result.errorCode);
+      continue;
+    }
+
+    const { price } = result;
+    const inStock = result.availability === 'available';
+    let message = null;
+
+    if (inStock && watch.inStock === false) {
+      message = `Back in stock at ¥${price}`;
+    } else if (inStock && watch.targetPrice) {
+      if (price <= watch.targetPrice && (watch.lastPrice == null || watch.lastPrice > watch.targetPrice)) {
+        message = `Dropped to ¥${price} (target ¥${watch.targetPrice})`;
+      }
+    } else if (inStock && watch.lastPrice && price < watch.lastPrice) {
+      message = `Dropped from ¥${watch.lastPrice} to ¥${price}`;
+    }
+
+    if (message) {
+      chrome.notifications.create(`${PRICE_WATCH_CONFIG.alarmName}:${bookmark.url}`, {
+        type: 'basic',
+        iconUrl: 'icon.png',
+        title: bookmark.title,
+        message
+      });
+    }
+
+    observations.set(bookmark.url, {
+      lastPrice: inStock ? price : watch.lastPrice,
+      inStock,
+      lastChecked: Date.now()
+    });
+  }
+
+  if (observations.size === 0) return;
+
+  // The checks above can take minutes behind the request queue, so the observations are merged
+  // into the bookmarks as they are now rather than writing back the copy read at the start
+  const { bookmarks: current = {} } = await chrome.storage.local.get('bookmarks');
+  observations.forEach((observation, url) => {
+    if (current[url]?.watch) {
+      current[url] = { ...current[url], watch: { ...current[url].watch, ...observation } };
+    }
+  });
+  await chrome.storage.local.set({ bookmarks: current });
+}
+
+chrome.alarms.get(PRICE_WATCH_CONFIG.alarmName).then(alarm => {
+  if (!alarm) {
+    chrome.alarms.create(PRICE_WATCH_CONFIG.alarmName, {
+      periodInMinutes: PRICE_WATCH_CONFIG.periodInMinutes
+    });
+  }
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === PRICE_WATCH_CONFIG.alarmName) {
+    checkWatchedPrices().catch(error => console.error('Price watch failed:', error));
+  }
+});
+
+chrome.notifications.onClicked.addListener(notificationId => {
+  const prefix = `${PRICE_WATCH_CONFIG.alarmName}:`;
+  if (notificationId.startsWith(prefix)) {
+    chrome.tabs.create({ url: notificationId.slice(prefix.length) });
+    chrome.notifications.clear(notificationId);
+  }
+});
+
+/**
+ * Splits text into pieces that each fit in a chrome.storage.sync item once JSON-encoded.
+ * Sizes are counted in UTF-8 bytes, with quotes, backslashes and control characters counted
+ * at their escaped length.
+ * 
+ * @param {string} text - The text to split
+ * @param {number} maxBytes - The maximum encoded size of a piece
+ * @returns {string[]} The pieces, in order
+ */
+function splitIntoChunks(text, maxBytes) {
+  const chunks = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    const bytes = char === '"' || char === '\\' ? 2
+      : code < 0x20 ? 6
+      : code < 0x80 ? 1
+      : code < 0x800 ? 2
+      : code < 0x10000 ? 3
+      : 4;
+
+    if (size + bytes > maxBytes) {
+      chunks.push(current);
+      current = '';
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+
+  chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Merges two devices' bookmarks by URL. Bookmarks on both sides take the side changed last.
+ * A bookmark on one side only was deleted on the other side if it was there at the last sync,
+ * and added since otherwise, so the first sync keeps everything.
+ * @param {Object} local - This device's bookmarks
+ * @param {Object} remote - The synced bookmarks
+ * @param {Object} options - { localNewer, baseline }, where `baseline` lists the URLs both
+ * sides had at the last sync
+ * @returns {Object} The merged bookmarks keyed by URL
+ */
+function mergeSyncedBookmarks(local, remote, { localNewer, baseline }) {
+  const [newer, older] = localNewer ? [local, remote] : [remote, local];
+  const known = new Set(baseline);
+  const merged = {};
+
+  new Set([...Object.keys(newer), ...Object.keys(older)]).forEach(url => {
+    if (newer[url] && older[url]) {
+      merged[url] = newer[url];
+    } else if (!known.has(url)) {
+      merged[url] = newer[url] || older[url];
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Mirrors selected chrome.storage.local keys to chrome.storage.sync when the user opts in.
+ * 
+ * @class SyncManager
+ * @description
+ * - Every synced key is stored in sync as a `<prefix><key>` meta item ({ modified, chunks })
+ *   plus `<prefix><key>:<n>` chunks of its JSON, so values larger than the per-item quota fit
+ * - Local changes are stamped with their time and pushed after a short delay, so bursts of
+ *   writes become one sync operation
+ * - Conflicts are resolved per key by last-modified time: whichever side changed the key
+ *   last wins, and a device enabling sync for the first time adopts what is already synced.
+ *   Keys with a merger in the config (bookmarks) are merged entry by entry instead, using the
+ *   entries recorded in `baseline` at the last sync to tell deletions from additions
+ * - Progress and errors are written to the local `syncState` key, which the popup displays;
+ *   pushes that would exceed the storage.sync quota are skipped with the `overQuota` status
+ * 
+ * @property {Map} applying - Values being written from sync, keyed by storage key, whose local
+ * change must not be pushed back
+ * @property {Set} dirty - Keys changed locally and waiting to be pushed
+ */
+class SyncManager {
+  constructor(config) {
+    this.config = config;
+    this.applying = new Map();
+    this.dirty = new Set();
+    this.timer = null;
+    this.running = Promise.resolve();
+  }
+
+  async getState() {
+    const result = await chrome.storage.local.get(this.config.stateKey);
+    return {
+      enabled: false,
+      status: 'off',
+      lastSync: null,
+      error: null,
+      modified: {},
+      baseline: {},
+      ...result[this.config.stateKey]
+    };
+  }
+
+  async setState(changes) {
+    const state = { ...await this.getState(), ...changes };
+    await chrome.storage.local.set({ [this.config.stateKey]: state });
+    return state;
+  }
+
+  async setEnabled(enabled) {
+    await this.setState({ enabled, status: enabled ? 'syncing' : 'off', error: null });
+    if (enabled) {
+      await this.syncAll();
+    }
+  }
+
+  /**
+   * Runs sync operations one at a time, so a push never interleaves with a full sync.
+   * @param {Function} task - The operation to run
+   * @returns {Promise<void>}
+   */
+  enqueue(task) {
+    this.running = this.running.then(task).catch(async error => {
+      console.error('Sync failed:', error);
+      await this.setState({ status: 'error', error: error.message });
+    });
+    return this.running;
+  }
+
+  async handleLocalChange(changes) {
+    const changed = this.config.keys.filter(key => {
+      if (!changes[key]) return false;
+      const applied = this.applying.get(key);
+      this.applying.delete(key);
+      return applied !== JSON.stringify(changes[key].newValue ?? null);
+    });
+
+    const state = await this.getState();
+    if (!state.enabled || changed.length === 0) return;
+
+    const modified = { ...state.modified };
+    changed.forEach(key => {
+      modified[key] = Date.now();
+      this.dirty.add(key);
+    });
+    await this.setState({ modified });
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => {
+      const keys = [...this.dirty];
+      this.dirty.clear();
+      this.enqueue(() => this.push(keys));
+    }, this.config.pushDelay);
+  }
+
+  handleRemoteChange(changes) {
+    const metaKeys = this.config.keys.map(key => `${this.config.prefix}${key}`);
+    if (Object.keys(changes).some(key => metaKeys.includes(key))) {
+      this.enqueue(() => this.syncAll());
+    }
+  }
+
+  async readRemote(key) {
+    const metaKey = `${this.config.prefix}${key}`;
+    const meta = (await chrome.storage.sync.get(metaKey))[metaKey];
+    if (!meta) return null;
+
+    const chunkKeys = Array.from({ length: meta.chunks }, (_, index) => `${metaKey}:${index}`);
+    const chunks = await chrome.storage.sync.get(chunkKeys);
+    if (chunkKeys.some(chunkKey => typeof chunks[chunkKey] !== 'string')) {
+      throw new Error(`Incomplete sync data for ${key}`);
+    }
+
+    return {
+      modified: meta.modified,
+      chunks: meta.chunks,
+      value: JSON.parse(chunkKeys.map(chunkKey => chunks[chunkKey]).join(''))
+    };
+  }
+
+  async push(keys) {
+    const state = await this.getState();
+    if (!state.enabled || keys.length === 0) return;
+
+    const local = await chrome.storage.local.get(keys);
+    const items = {};
+    const stale = [];
+    const baseline = { ...state.baseline };
+
+    for (const key of keys) {
+      const metaKey = `${this.config.prefix}${key}`;
+      const previous = (await chrome.storage.sync.get(metaKey))[metaKey];
+      const chunks = splitIntoChunks(JSON.stringify(local[key] ?? null), this.config.maxChunkBytes);
+
+      items[metaKey] = { modified: state.modified[key] || Date.now(), chunks: chunks.length };
+      if (this.config.mergers[key]) {
+        baseline[key] = Object.keys(local[key] || {});
+      }
+      chunks.forEach((chunk, index) => items[`${metaKey}:${index}`] = chunk);
+
+      for (let index = chunks.length; index < (previous?.chunks || 0); index++) {
+        stale.push(`${metaKey}:${index}`);
+      }
+    }
+
+    // Chrome counts each item as its key plus its JSON value; a push past the quota fails as a
+    // whole, so it is refused up front with a state the popup can explain
+    const current = await chrome.storage.sync.get(null);
+    const usage = Object.entries({ ...current, ...items })
+      .filter(([itemKey]) => !stale.includes(itemKey))
+      .reduce((total, [itemKey, value]) =>
+        total + new TextEncoder().encode(itemKey + JSON.stringify(value)).length, 0);
+
+    if (usage > this.config.quotaBytes) {
+      await this.setState({
+        status: 'overQuota',
+        usage,
+        error: `Synced data needs ${Math.ceil(usage / 1024)} KB but Chrome allows ` +
+          `${Math.floor(this.config.quotaBytes / 1024)} KB. Remove some bookmarks to resume syncing.`
+      });
+      return;
+    }
+
+    await chrome.storage.sync.set(items);
+    if (stale.length > 0) {
+      await chrome.storage.sync.remove(stale);
+    }
+    await this.setState({ status: 'synced', lastSync: Date.now(), error: null, usage, baseline });
+  }
+
+  /**
+   * Writes a synced value locally. Chrome raises no change event when the value is unchanged,
+   * so identical values are not written and never left waiting in `applying`.
+   * @param {string} key - The storage key
+   * @param {*} value - The synced value
+   * @param {*} current - The local value
+   */
+  async applyRemote(key, value, current) {
+    const serialised = JSON.stringify(value ?? null);
+    if (serialised === JSON.stringify(current ?? null)) return;
+
+    this.applying.set(key, serialised);
+    await chrome.storage.local.set({ [key]: value });
+  }
+
+  async syncAll() {
+    const state = await this.getState();
+    if (!state.enabled) return;
+
+    await this.setState({ status: 'syncing' });
+    const modified = { ...state.modified };
+    const baseline = { ...state.baseline };
+    const local = await chrome.storage.local.get(this.config.keys);
+    const toPush = [];
+
+    for (const key of this.config.keys) {
+      const remote = await this.readRemote(key);
+      const localModified = modified[key] || 0;
+      const merge = this.config.mergers[key];
+
+      if (remote && local[key] !== undefined && merge && remote.modified !== localModified) {
+        const value = merge(local[key], remote.value, {
+          localNewer: localModified > remote.modified,
+          baseline: baseline[key] || []
+        });
+        await this.applyRemote(key, value, local[key]);
+
+        if (JSON.stringify(value) === JSON.stringify(remote.value)) {
+          modified[key] = remote.modified;
+          baseline[key] = Object.keys(value);
+        } else {
+          modified[key] = Date.now();
+          toPush.push(key);
+        }
+      } else if (remote && remote.modified > localModified) {
+        await this.applyRemote(key, remote.value, local[key]);
+        modified[key] = remote.modified;
+        if (merge) {
+          baseline[key] = Object.keys(remote.value || {});
+        }
+      } else if (local[key] !== undefined && (!remote || localModified > remote.modified)) {
+        modified[key] = localModified || Date.now();
+        toPush.push(key);
+      } else if (remote && merge) {
+        baseline[key] = Object.keys(remote.value || {});
+      }
+    }
+
+    await this.setState({ modified, baseline });
+    if (toPush.length > 0) {
+      await this.push(toPush);
+    } else {
+      await this.setState({ status: 'synced', lastSync: Date.now(), error: null });
+    }
+  }
+}
+
+const syncManager = new SyncManager(SYNC_CONFIG);
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local') {
+    syncManager.enqueue(() => syncManager.handleLocalChange(changes));
+  } else if (areaName === 'sync') {
+    syncManager.handleRemoteChange(changes);
+  }
+});
+
+syncManager.enqueue(() => syncManager.syncAll());
@@ -0,0 +1,72 @@
+/**
+ * Bookmark search and ordering shared by the content script and the popup.
+ *
+ * A bookmark is stored under its album URL as
+ * { title, url, timestamp, folder, tags, notes, thumbnail, snapshot, watch }, where
+ * `snapshot` is the price and link captured from the product cache when the bookmark was saved
+ * ({ platform, id, link, price, timestamp }, price in CNY) and `watch` is the optional price
+ * watch checked by the background worker. Bookmarks saved before folders and tags existed are
+ * filled in by normalizeBookmark.
+ */
+const BOOKMARK_SORTS = {
+  newest: { label: 'Newest first', compare: (a, b) => b.timestamp - a.timestamp },
+  oldest: { label: 'Oldest first', compare: (a, b) => a.timestamp - b.timestamp },
+  title: { label: 'Title', compare: (a, b) => a.title.localeCompare(b.title) },
+  price: {
+    label: 'Price',
+    compare: (a, b) => (a.snapshot?.price ?? Infinity) - (b.snapshot?.price ?? Infinity)
+  }
+};
+
+/**
+ * Fills in the fields added since bookmarks only held a title, URL and timestamp.
+ * @param {Object} bookmark - A stored bookmark
+ * @returns {Object} The bookmark with every field present
+ */
+function normalizeBookmark(bookmark) {
+  return {
+    folder: '',
+    tags: [],
+    notes: '',
+    thumbnail: null,
+    snapshot: null,
+    ...bookmark
+  };
+}
+
+/**
+ * Lists the folders in use, alphabetically.
+ * @param {Object[]} bookmarks - The bookmarks
+ * @returns {string[]} The folder names, without the unnamed folder
+ */
+function getBookmarkFolders(bookmarks) {
+  return [...new Set(bookmarks.map(bookmark => bookmark.folder).filter(Boolean))].sort();
+}
+
+/**
+ * Filters and sorts bookmarks.
+ * @param {Object[]} bookmarks - The normalised bookmarks
+ * @param {Object} options - { query, folder, sort }, where `query` is matched against the title,
+ * tags, notes and folder, `folder` is a folder name or null for every folder and `sort` is a
+ * key of BOOKMARK_SORTS
+ * @returns {Object[]} The matching bookmarks in order
+ */
+function searchBookmarks(bookmarks, { query = '', folder = null, sort = 'newest' } = {}) {
+  const needle = query.trim().toLowerCase();
+  const compare = (BOOKMARK_SORTS[sort] || BOOKMARK_SORTS.newest).compare;
+
+  return bookmarks
+    .filter(bookmark => folder === null || bookmark.folder === folder)
+    .filter(bookmark => !needle || [bookmark.title, bookmark.folder, bookmark.notes, ...bookmark.tags]
+      .some(value => value?.toLowerCase().includes(needle)))
+    .sort(compare);
+}
+
+/**
+ * Parses a comma-separated tag list as typed by the user.
+ * @param {string} text - The tag list
+ * @returns {string[]} The tags, trimmed and without duplicates
+ */
+function parseBookmarkTags(text) {
+  return [...new Set(text.split(',').map(tag => tag.trim()).filter(Boolean))];
+}
@@ -0,0 +1,466 @@
+/**
+ * Product cache kept by the background worker in IndexedDB.
+ *
+ * Every album's product details are stored as their own record, so caching an album writes one
+ * record instead of the whole cache. IndexedDB belongs to the origin that opens it and every
+ * Yupoo store is a different origin, so content scripts and the popup go through the worker's
+ * `cache*` messages rather than opening the database themselves.
+ *
+ * A record is { url, data, timestamp, lastAccessed, size, store, productId }, where `size` is the
+ * encoded size of `data` in bytes, `store` the album's hostname and `productId` the
+ * `<platform>:<id>` of the selected listing.
+ */
+const CACHE_CONFIG = {
+  version: '1.1.0',
+  dbName: 'easyupoo-cache',
+  dbVersion: 1,
+  maxAge: 7 * 24 * 60 * 60 * 1000,
+  maxItems: 1000,
+  maxBytes: 5 * 1024 * 1024,
+  flushDelay: 1000,
+  legacyKeys: ['productCache', 'cacheMetadata']
+};
+
+/**
+ * Upgrades for cache entries stored by older versions, applied in order from the stored version
+ * up to CACHE_CONFIG.version. Each step receives a stored entry ({ data, timestamp, lastAccessed })
+ * and returns the upgraded entry, or null if the entry cannot be upgraded and must be dropped.
+ */
+const CACHE_MIGRATIONS = [
+  {
+    // Product details gained the price of every platform, the linked variants and the item
+    // weight; older entries only held the selected platform's price and link
+    from: '1.0.0',
+    to: '1.1.0',
+    migrate: entry => {
+      if (entry.data.prices) return entry;
+
+      const parsed = entry.data.link && parseMarketplaceUrl(entry.data.link);
+      if (!parsed) return null;
+
+      const { platform, id } = parsed;
+      const { price, link } = entry.data;
+      const prices = Object.fromEntries(
+        Object.keys(MARKETPLACE_CONFIG.canonicalUrls).map(key => [key, { price: 'N/A', link: null }])
+      );
+      prices[platform] = { id, link, label: '', sources: [], price };
+
+      return {
+        ...entry,
+        data: {
+          ...entry.data,
+          platform,
+          id,
+          prices,
+          variants: [{ platform, ...prices[platform] }]
+        }
+      };
+    }
+  }
+];
+
+/**
+ * Runs the cache migrations needed to bring entries from a stored version to the current one.
+ * @param {Object} entries - Cache entries keyed by URL
+ * @param {string} version - The version the entries were stored with
+ * @returns {Object|null} The upgraded entries without the ones that could not be migrated,
+ * or null if no migration path leads from the stored version to the current one
+ */
+function migrateCacheEntries(entries, version) {
+  let current = version;
+  let migrated = entries;
+
+  while (current !== CACHE_CONFIG.version) {
+    const step = CACHE_MIGRATIONS.find(migration => migration.from === current);
+    if (!step) return null;
+
+    migrated = Object.fromEntries(Object.entries(migrated)
+      .map(([key, entry]) => {
+        try {
+          return [key, entry?.data ? step.migrate(entry) : null];
+        } catch (error) {
+          console.error(`Cache migration to ${step.to} failed for ${key}:`, error);
+          return [key, null];
+        }
+      })
+      .filter(([, entry]) => entry));
+    current = step.to;
+  }
+
+  return migrated;
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<*>} The request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Waits for an IndexedDB transaction to commit.
+ * @param {IDBTransaction} transaction - The transaction
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Calls back for every record a cursor visits.
+ * @param {IDBRequest} request - The openCursor or openKeyCursor request
+ * @param {Function} callback - Receives each cursor position
+ * @returns {Promise<void>} Resolves once the cursor is exhausted
+ */
+function iterateCursor(request, callback) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      callback(cursor);
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Stores product details in IndexedDB with batched writes and size-bounded eviction.
+ *
+ * @class ProductCacheStore
+ * @description
+ * - Writes and access-time updates wait in `pending` and are flushed together in one
+ *   transaction at most once per flushDelay, so bursts of lookups cost a single write
+ * - After new entries are flushed, expired entries are dropped through the timestamp index and
+ *   the least recently used entries are evicted until the cache fits both maxItems and maxBytes
+ * - Opening the database moves entries left in chrome.storage.local by older versions into it
+ *   and runs CACHE_MIGRATIONS when the stored version is older than CACHE_CONFIG.version
+ *
+ * @property {Map} pending - Records waiting to be written, keyed by URL
+ * @property {boolean} needsEviction - Whether pending records include new entries
+ */
+class ProductCacheStore {
+  constructor(config) {
+    this.config = config;
+    this.pending = new Map();
+    this.needsEviction = false;
+    this.timer = null;
+    this.flushing = Promise.resolve();
+    this.dbPromise = null;
+  }
+
+  /**
+   * Opens the database once, migrating older caches on first use.
+   * @returns {Promise<IDBDatabase>} The database
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = this.openDatabase().then(async db => {
+        await this.migrate(db);
+        return db;
+      });
+      this.dbPromise.catch(() => {
+        this.dbPromise = null;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  openDatabase() {
+    const request = indexedDB.open(this.config.dbName, this.config.dbVersion);
+    request.onupgradeneeded = () => {
+      const products = request.result.createObjectStore('products', { keyPath: 'url' });
+      products.createIndex('productId', 'productId');
+      products.createIndex('store', 'store');
+      products.createIndex('timestamp', 'timestamp');
+      products.createIndex('lastAccessed', 'lastAccessed');
+      request.result.createObjectStore('metadata');
+    };
+    return promisifyRequest(request);
+  }
+
+  async migrate(db) {
+    const metadata = await promisifyRequest(
+      db.transaction('metadata').objectStore('metadata').get('metadata')
+    );
+
+    if (metadata && metadata.version !== this.config.version) {
+      const records = await promisifyRequest(db.transaction('products').objectStore('products').getAll());
+      const entries = migrateCacheEntries(
+        Object.fromEntries(records.map(record => [record.url, record])),
+        metadata.version
+      );
+      await this.writeEntries(db, entries || {}, true);
+    }
+
+    const legacy = await chrome.storage.local.get(this.config.legacyKeys);
+    if (legacy.productCache) {
+      // Entries kept in chrome.storage.local before the cache moved to IndexedDB
+      const entries = migrateCacheEntries(legacy.productCache, legacy.cacheMetadata?.version || '1.0.0');
+      await this.writeEntries(db, entries || {}, false);
+      await chrome.storage.local.remove(this.config.legacyKeys);
+    }
+
+    if (metadata?.version !== this.config.version) {
+      const transaction = db.transaction('metadata', 'readwrite');
+      transaction.objectStore('metadata').put({
+        version: this.config.version,
+        lastCleanup: metadata?.lastCleanup || legacy.cacheMetadata?.lastCleanup || Date.now()
+      }, 'metadata');
+      await promisifyTransaction(transaction);
+    }
+  }
+
+  /**
+   * Writes cache entries as records.
+   * @param {IDBDatabase} db - The database
+   * @param {Object} entries - Entries ({ data, timestamp, lastAccessed }) keyed by URL
+   * @param {boolean} replace - Whether to remove every other record
+   * @returns {Promise<void>}
+   */
+  async writeEntries(db, entries, replace) {
+    const transaction = db.transaction('products', 'readwrite');
+    const products = transaction.objectStore('products');
+    if (replace) {
+      products.clear();
+    }
+    Object.entries(entries).forEach(([url, entry]) => products.put(this.toRecord(url, entry)));
+    await promisifyTransaction(transaction);
+  }
+
+  toRecord(url, { data, timestamp, lastAccessed }) {
+    let store = '';
+    try {
+      store = new URL(url).hostname;
+    } catch (error) {
+      // Imported entries may be keyed by anything
+    }
+
+    const record = {
+      url,
+      data,
+      timestamp,
+      lastAccessed: lastAccessed || timestamp,
+      size: new TextEncoder().encode(JSON.stringify(data)).length,
+      store
+    };
+    if (data.platform && data.id) {
+      record.productId = `${data.platform}:${data.id}`;
+    }
+    return record;
+  }
+
+  isValidRecord(record) {
+    return record &&
+           record.data &&
+           Date.now() - record.timestamp < this.config.maxAge;
+  }
+
+  /**
+   * Looks up an album's product details, marking them as recently used.
+   * @param {string} url - The album URL
+   * @returns {Promise<Object|null>} The product details, or null if missing or expired
+   */
+  async get(url) {
+    const db = await this.open();
+    const record = this.pending.get(url) ||
+      await promisifyRequest(db.transaction('products').objectStore('products').get(url));
+
+    if (!this.isValidRecord(record)) {
+      return null;
+    }
+
+    this.schedule({ ...record, lastAccessed: Date.now() });
+    return record.data;
+  }
+
+  /**
+   * Caches an album's product details.
+   * @param {string} url - The album URL
+   * @param {Object} data - The product details
+   * @returns {Promise<void>} Resolves once the write is queued
+   */
+  async set(url, data) {
+    await this.open();
+    const now = Date.now();
+    this.needsEviction = true;
+    this.schedule(this.toRecord(url, { data, timestamp: now, lastAccessed: now }));
+  }
+
+  schedule(record) {
+    this.pending.set(record.url, record);
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.config.flushDelay);
+    }
+  }
+
+  /**
+   * Writes the pending records in one transaction, then evicts if new entries were added.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.flushing = this.flushing.then(async () => {
+      if (this.pending.size === 0) return;
+
+      const records = [...this.pending.values()];
+      const evict = this.needsEviction;
+      this.pending.clear();
+      this.needsEviction = false;
+
+      const db = await this.open();
+      const transaction = db.transaction('products', 'readwrite');
+      records.forEach(record => transaction.objectStore('products').put(record));
+      await promisifyTransaction(transaction);
+
+      if (evict) {
+        await this.evict(db);
+      }
+    }).catch(error => {
+      console.error('Cache flush error:', error);
+    });
+    return this.flushing;
+  }
+
+  /**
+   * Drops expired entries, then keeps the most recently used entries that fit the limits.
+   * @param {IDBDatabase} db - The database
+   * @returns {Promise<number>} The number of entries removed
+   */
+  async evict(db) {
+    const { maxAge, maxItems, maxBytes } = this.config;
+    let deleted = 0;
+
+    const expiry = db.transaction('products', 'readwrite');
+    await Promise.all([
+      iterateCursor(
+        expiry.objectStore('products').index('timestamp').openCursor(IDBKeyRange.upperBound(Date.now() - maxAge)),
+        cursor => {
+          cursor.delete();
+          deleted++;
+        }
+      ),
+      promisifyTransaction(expiry)
+    ]);
+
+    const eviction = db.transaction(['products', 'metadata'], 'readwrite');
+    let items = 0;
+    let bytes = 0;
+    eviction.objectStore('metadata').put({ version: this.config.version, lastCleanup: Date.now() }, 'metadata');
+    await Promise.all([
+      iterateCursor(
+        eviction.objectStore('products').index('lastAccessed').openCursor(null, 'prev'),
+        cursor => {
+          items++;
+          bytes += cursor.value.size;
+          if (items > maxItems || bytes > maxBytes) {
+            cursor.delete();
+            deleted++;
+          }
+        }
+      ),
+      promisifyTransaction(eviction)
+    ]);
+
+    return deleted;
+  }
+
+  /**
+   * Summarises the cache for the settings panels.
+   * @returns {Promise<Object>} { items, bytes, products, stores, version, lastCleanup, maxItems,
+   * maxBytes, maxAge }, where `products` and `stores` count distinct listings and Yupoo stores
+   */
+  async getStats() {
+    await this.flush();
+    const db = await this.open();
+    const transaction = db.transaction(['products', 'metadata']);
+    const products = transaction.objectStore('products');
+    const stats = {
+      items: 0,
+      bytes: 0,
+      products: 0,
+      stores: 0,
+      version: this.config.version,
+      lastCleanup: null,
+      maxItems: this.config.maxItems,
+      maxBytes: this.config.maxBytes,
+      maxAge: this.config.maxAge
+    };
+
+    const [metadata] = await Promise.all([
+      promisifyRequest(transaction.objectStore('metadata').get('metadata')),
+      iterateCursor(products.openCursor(), cursor => {
+        stats.items++;
+        stats.bytes += cursor.value.size;
+      }),
+      iterateCursor(products.index('productId').openKeyCursor(null, 'nextunique'), () => stats.products++),
+      iterateCursor(products.index('store').openKeyCursor(null, 'nextunique'), () => stats.stores++),
+      promisifyTransaction(transaction)
+    ]);
+    stats.lastCleanup = metadata?.lastCleanup || null;
+
+    return stats;
+  }
+
+  /**
+   * Exports every entry in the format read by importEntries.
+   * @returns {Promise<Object>} { version, timestamp, items }, with entries keyed by URL
+   */
+  async exportEntries() {
+    await this.flush();
+    const db = await this.open();
+    const records = await promisifyRequest(db.transaction('products').objectStore('products').getAll());
+
+    return {
+      version: this.config.version,
+      timestamp: Date.now(),
+      items: Object.fromEntries(records.map(({ url, data, timestamp, lastAccessed }) =>
+        [url, { data, timestamp, lastAccessed }]))
+    };
+  }
+
+  /**
+   * Replaces the cache with exported entries, migrating them from the version they were
+   * exported with.
+   * @param {Object} exported - { version, items } as produced by exportEntries
+   * @returns {Promise<number>} The number of entries imported
+   * @throws {Error} If the entries cannot be migrated to the current version
+   */
+  async importEntries({ version, items }) {
+    const entries = items && migrateCacheEntries(items, version);
+    if (!entries) {
+      throw new Error('Cache version mismatch');
+    }
+
+    await this.clear();
+    const db = await this.open();
+    await this.writeEntries(db, entries, false);
+    await this.evict(db);
+    return Object.keys(entries).length;
+  }
+
+  async clear() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.pending.clear();
+    this.needsEviction = false;
+
+    const db = await this.open();
+    const transaction = db.transaction('products', 'readwrite');
+    transaction.objectStore('products').clear();
+    await promisifyTransaction(transaction);
+  }
+}
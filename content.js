@@ -21,75 +21,73 @@ const IS_DARK_MODE_EXPERIMENTAL = true // Don't turn this on before release
 
 const PLATFORM_CONFIG = {
   preferredPlatform: 'weidian', // 'taobao' or 'weidian'
+  platformStrategy: 'preferred', // 'preferred', 'cheapest' or 'preferredOnly'
+  prefetchPrices: false, // load prices as tiles scroll into view instead of on hover
   preferredCurrency: 'usd',
-  supportedCurrencies: ['cny', 'usd', 'eur', 'gbp', 'try'],
   platforms: {
     taobao: {
-      baseUrl: 'https://www.jadeship.com/item/taobao/',
+      label: 'Taobao',
+      shortLabel: 'TB',
       priority: 1
     },
     weidian: {
-      baseUrl: 'https://www.jadeship.com/item/weidian/',
+      label: 'Weidian',
+      shortLabel: 'WD',
       priority: 2
+    },
+    1688: {
+      label: '1688',
+      shortLabel: '1688',
+      priority: 3,
+      priced: false // No price provider supports it yet, so its links are listed but never compared
     }
   },
  
   preferredAgent: "superbuy",
-  agents: {
-    superbuy: {
-      baseUrl: 'https://www.superbuy.com/en/page/buy/?nTag=Home-search&from=search-input&url='
-    },
-
-    allchinabuy: {
-      baseUrl: 'https://www.allchinabuy.com/en/page/buy/?nTag=Home-search&from=search-input&url='
-    },
-    cssbuy: {
-      baseUrl: 'https://www.cssbuy.com/item-',
-      formatUrl: (platform, productId) => {
-        if (platform === 'weidian') {
-          return `https://www.cssbuy.com/item-micro-${productId}.html`;
-        }
-        return `https://www.cssbuy.com/item-${productId}.html`;
-      }
-    },
-    cnfans: {
-      baseUrl: 'https://cnfans.com/product/',
-      formatUrl: (platform, productId) => {
-        return `https://cnfans.com/product/?shop_type=${platform}&id=${productId}`;
-      }
-    },
-    mulebuy: {
-      baseUrl: 'https://mulebuy.com/product/',
-      formatUrl: (platform, productId) => {
-        return `https://cnfans.com/product/?shop_type=${platform}&id=${productId}`;
-      }
-    },
-    hoobuy: {
-      baseUrl: 'https://hoobuy.com/product/',
-      formatUrl: (platform, productId) => {
-        const platformId = platform === 'taobao' ? '1' : '2';
-        return `https://hoobuy.com/product/${platformId}/${productId}`;
-      }
-    }
-  }
+  agents: AGENT_CONFIG.agents
 };
 
-const CACHE_CONFIG = {
+const BOOKMARK_CONFIG = {
   version: '1.0.0',
-  maxAge: 7 * 24 * 60 * 60 * 1000,
-  maxItems: 1000,
+  maxItems: 100,
+  thumbnailSelectors: [
+    '.showalbumheader__gallerycover img',
+    '.showalbum__children img',
+    'meta[property="og:image"]'
+  ]
 };
 
-const BOOKMARK_CONFIG = {
-  version: '1.0.0',
-  maxItems: 100
+const SELLER_CONFIG = {
+  nameSelectors: ['.showheader__nickname', '.showheader__headerTop h1', '.showheader__title'],
+  ignoredSubdomains: ['www', 'x'],
+  maxAlbums: 500,
+  flushDelay: 1000
 };
 
-const CURRENCY_CACHE = {
-  version: '1.0.0',
-  rates: null,
-  lastUpdate: null,
-  updateInterval: 1 * 60 * 60 * 1000,
+const LINK_SOURCES_CONFIG = {
+  // Only the album header and body are scanned; the store header and intro link elsewhere
+  scope: '.showalbumheader__main, .showalbum__parent',
+  anchors: 'a[href]',
+  containers: {
+    subtitle: '.showalbumheader__gallerysubtitle',
+    title: '.showalbumheader__gallerytitle',
+    description: '.htmlwrap__main',
+    caption: '.showalbum__imagecaption, .image__caption',
+    body: '.showalbum__parent'
+  }
+};
+
+const PREFETCH_CONFIG = {
+  concurrency: 3,
+  rootMargin: '200px'
+};
+
+const PRICE_HISTORY_CONFIG = {
+  maxEntriesPerProduct: 100,
+  maxProducts: 500,
+  minInterval: 24 * 60 * 60 * 1000,
+  keyPrefix: 'priceHistory:',
+  legacyKey: 'priceHistory'
 };
 
 const DARK_MODE_STYLES = {
@@ -140,222 +138,127 @@ const DARK_MODE_STYLES = {
   }
 };
 
-async function fetchExchangeRates() {
-  if (CURRENCY_CACHE.rates && 
-      CURRENCY_CACHE.lastUpdate && 
-      Date.now() - CURRENCY_CACHE.lastUpdate < CURRENCY_CACHE.updateInterval) {
-    return CURRENCY_CACHE.rates;
-  }
-
-  const urls = [
-    'https://cdn.jsdelivr.net/npm/@fawazahmed0/currency-api@latest/v1/currencies/cny.json',
-    'https://latest.currency-api.pages.dev/v1/currencies/cny.json'
-  ];
-
-  for (const url of urls) {
-    try {
-      const response = await fetch(url);
-      if (!response.ok) continue;
-      
-      const data = await response.json();
-      CURRENCY_CACHE.rates = data.cny;
-      CURRENCY_CACHE.lastUpdate = Date.now();
-      return CURRENCY_CACHE.rates;
-    } catch (error) {
-      console.error(`Error fetching rates from ${url}:`, error);
-    }
-  }
-  
-  throw new Error('Failed to fetch exchange rates from all sources');
-}
-
-function convertCurrency(amount, fromCurrency, toCurrency) {
-  if (!CURRENCY_CACHE.rates) return amount;
-  
-  const rate = CURRENCY_CACHE.rates[toCurrency.toLowerCase()];
-  if (!rate) return amount;
-
-  const converted = amount * rate;
-  return Number(converted.toFixed(2));
-}
-
-function formatCurrency(amount, currency) {
-  const symbols = {
-    usd: '$',
-    eur: '€',
-    gbp: '£',
-    try: '₺',
-    cny: '¥'
-  };
-
-  const symbol = symbols[currency.toLowerCase()] || '';
-  return `${symbol}${amount}`;
+/**
+ * Parses the numeric value out of a scraped price string such as "¥89.00".
+ * @param {string} price - The price text
+ * @returns {number|null} The numeric price, or null if the text holds no number
+ */
+function parsePriceText(price) {
+  const value = parseFloat(String(price).replace(/[^0-9.]/g, ''));
+  return isNaN(value) ? null : value;
 }
 
 /**
- * A persistent caching system for Chrome extension that stores data in chrome.storage.local
- * with automatic cleanup and version control.
+ * Client for the product cache kept by the background worker (see cache.js).
  * 
  * @class PersistentCache
- * @description Implements a Map-based caching system that persists data to chrome.storage.local.
- * Features include:
- * - Automatic initialization and data loading
- * - Version-based cache invalidation
- * - Automatic cleanup of expired entries
- * - Size-based cache eviction (LRU)
- * - Timestamp-based entry validation
+ * @description IndexedDB opened from a content script would belong to the Yupoo store's own
+ * origin, giving every store a separate cache the popup cannot see, so each call is a message
+ * to the worker, which owns the one database shared by all tabs.
  * 
- * @requires chrome.storage
- * @requires CACHE_CONFIG Configuration object containing version, maxAge, and maxItems
- * @requires DEBUG Boolean flag for debug logging
+ * @requires chrome.runtime
  * 
  * @example
  * const cache = new PersistentCache();
  * await cache.set('key', 'value');
  * const value = await cache.get('key');
  * 
- * @property {Map} data - Internal storage for cache entries
  * @property {boolean} initialized - Flag indicating if cache is initialized
  * @property {Promise} initPromise - Promise that resolves when initialization is complete
  */
 class PersistentCache {
   constructor() {
-    this.data = new Map();
     this.initialized = false;
     this.initPromise = this.initialize();
   }
 
   async initialize() {
-    if (this.initialized) return;
-
     try {
-      const metadata = await chrome.storage.local.get('cacheMetadata');
-      const currentMetadata = metadata.cacheMetadata || {
-        version: CACHE_CONFIG.version,
-        lastCleanup: Date.now(),
-      };
-
-      if (currentMetadata.version !== CACHE_CONFIG.version) {
-        await this.clearCache();
-        currentMetadata.version = CACHE_CONFIG.version;
-      }
-
-      const result = await chrome.storage.local.get('productCache');
-      if (result.productCache) {
-        const storedCache = new Map(Object.entries(result.productCache));
-        
-        for (const [key, value] of storedCache) {
-          if (this.isValidCacheEntry(value)) {
-            this.data.set(key, value);
-          }
-        }
-      }
-
-      if (Date.now() - currentMetadata.lastCleanup > 24 * 60 * 60 * 1000) {
-        await this.cleanup();
-        currentMetadata.lastCleanup = Date.now();
-      }
-
-      await chrome.storage.local.set({ cacheMetadata: currentMetadata });
-      
-      this.initialized = true;
-      if (DEBUG) {
-        console.log('Cache initialized with', this.data.size, 'valid items');
-      }
+      await this.request('cacheOpen');
     } catch (error) {
       console.error('Cache initialization error:', error);
-      this.initialized = true;
     }
-  }
-
-  isValidCacheEntry(entry) {
-    return entry &&
-           entry.timestamp &&
-           Date.now() - entry.timestamp < CACHE_CONFIG.maxAge &&
-           entry.data;
+    this.initialized = true;
   }
 
   async waitForInitialization() {
     await this.initPromise;
   }
 
+  async request(type, payload = {}) {
+    const response = await chrome.runtime.sendMessage({ type, ...payload });
+    if (!response?.success) {
+      throw new Error(response?.error || `${type} failed`);
+    }
+    return response.data;
+  }
+
   async get(key) {
     await this.waitForInitialization();
-    
-    const entry = this.data.get(key);
-    if (entry && this.isValidCacheEntry(entry)) {
-      entry.lastAccessed = Date.now();
-      return entry.data;
+
+    try {
+      return await this.request('cacheGet', { key });
+    } catch (error) {
+      console.error('Cache read error:', error);
+      return null;
     }
-    return null;
   }
 
   async set(key, value) {
     await this.waitForInitialization();
 
-    const entry = {
-      data: value,
-      timestamp: Date.now(),
-      lastAccessed: Date.now()
-    };
-
-    this.data.set(key, entry);
-    await this.persistToStorage();
-  }
-
-  async persistToStorage() {
     try {
-      const cacheObject = Object.fromEntries(this.data);
-      await chrome.storage.local.set({ productCache: cacheObject });
+      await this.request('cacheSet', { key, value });
     } catch (error) {
       console.error('Cache persistence error:', error);
     }
   }
 
-  async cleanup() {
-    const now = Date.now();
-    let deleted = 0;
-
-    for (const [key, entry] of this.data) {
-      if (!this.isValidCacheEntry(entry)) {
-        this.data.delete(key);
-        deleted++;
-      }
-    }
-
-    if (this.data.size > CACHE_CONFIG.maxItems) {
-      const sortedEntries = Array.from(this.data.entries())
-        .sort((a, b) => b[1].lastAccessed - a[1].lastAccessed);
+  async getStats() {
+    return this.request('cacheStats');
+  }
 
-      while (this.data.size > CACHE_CONFIG.maxItems) {
-        const [keyToDelete] = sortedEntries.pop();
-        this.data.delete(keyToDelete);
-        deleted++;
-      }
-    }
+  async exportEntries() {
+    return this.request('cacheExport');
+  }
 
-    if (deleted > 0) {
-      await this.persistToStorage();
-      if (DEBUG) {
-        console.log(`Cleaned up ${deleted} cache entries`);
-      }
-    }
+  async importEntries(data) {
+    return this.request('cacheImport', { data });
   }
 
   async clearCache() {
-    this.data.clear();
-    await chrome.storage.local.remove(['productCache', 'cacheMetadata']);
+    await this.request('cacheClear');
     if (DEBUG) {
       console.log('Cache cleared');
     }
   }
 }
 
+/**
+ * Stores bookmarked albums in chrome.storage.local.
+ * 
+ * @class BookmarkManager
+ * @description Bookmarks are keyed by album URL and organised with a folder, tags and notes,
+ * along with the album thumbnail and a snapshot of the price and link at the time they were
+ * saved (see bookmarks.js for the full shape). A bookmark may carry a `watch` object
+ * ({ platform, id, targetPrice, lastPrice, inStock }) which the background worker uses to
+ * periodically re-check the price and raise notifications. Since the worker and the popup write
+ * to the same storage key, the in-memory copy follows storage changes. At most
+ * BOOKMARK_CONFIG.maxItems bookmarks are kept, which also keeps them within the sync quota.
+ * 
+ * @property {Map} bookmarks - Bookmarks keyed by URL
+ */
 class BookmarkManager {
   constructor() {
     this.bookmarks = new Map();
     this.initialized = false;
     this.initPromise = this.initialize();
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.bookmarks) {
+        this.bookmarks = new Map(Object.entries(changes.bookmarks.newValue || {}));
+      }
+    });
   }
 
   async initialize() {
@@ -381,17 +284,33 @@ class BookmarkManager {
     await this.initPromise;
   }
 
-  async add(title, url) {
+  /**
+   * Saves a bookmark, keeping the folder, tags, notes and watch of an existing one unless
+   * they are given again.
+   * @param {string} title - The bookmark title
+   * @param {string} url - The album URL
+   * @param {Object} [details] - Any of { folder, tags, notes, thumbnail, snapshot, watch }
+   * @returns {Promise<Object>} The saved bookmark
+   * @throws {Error} When adding a new bookmark would exceed BOOKMARK_CONFIG.maxItems
+   */
+  async add(title, url, details = {}) {
     await this.waitForInitialization();
-    
-    const bookmark = {
+
+    const existing = this.bookmarks.get(url);
+    if (!existing && this.bookmarks.size >= BOOKMARK_CONFIG.maxItems) {
+      throw new Error(`You can keep up to ${BOOKMARK_CONFIG.maxItems} bookmarks. Remove one to add another.`);
+    }
+    const bookmark = normalizeBookmark({
+      ...existing,
+      ...details,
       title,
       url,
-      timestamp: Date.now()
-    };
+      timestamp: existing?.timestamp || Date.now()
+    });
 
     this.bookmarks.set(url, bookmark);
     await this.persistToStorage();
+    return bookmark;
   }
 
   async remove(url) {
@@ -400,9 +319,16 @@ class BookmarkManager {
     await this.persistToStorage();
   }
 
+  async get(url) {
+    await this.waitForInitialization();
+    const bookmark = this.bookmarks.get(url);
+    return bookmark ? normalizeBookmark(bookmark) : null;
+  }
+
   async getAll() {
     await this.waitForInitialization();
     return Array.from(this.bookmarks.values())
+      .map(normalizeBookmark)
       .sort((a, b) => b.timestamp - a.timestamp);
   }
 
@@ -416,21 +342,413 @@ class BookmarkManager {
   }
 }
 
+/**
+ * Append-only price history keyed by marketplace product ID, persisted in chrome.storage.local.
+ * 
+ * @class PriceHistory
+ * @description Records every observed CNY price for a Taobao/Weidian product so price movements
+ * survive cache refreshes. A new entry is only appended when the price changed or the last
+ * entry is older than PRICE_HISTORY_CONFIG.minInterval, and each product keeps at most
+ * PRICE_HISTORY_CONFIG.maxEntriesPerProduct entries.
+ * 
+ * Each product is stored under its own `priceHistory:${platform}:${productId}` key and always
+ * read back from storage, so tabs recording different products never overwrite each other.
+ * Products beyond PRICE_HISTORY_CONFIG.maxProducts are dropped, least recently recorded first,
+ * whenever a new product is recorded.
+ * 
+ * @example
+ * await priceHistory.record('taobao', '12345', 89);
+ * const entries = await priceHistory.get('taobao', '12345');
+ */
+class PriceHistory {
+  constructor() {
+    this.initialized = false;
+    this.initPromise = this.initialize();
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      await this.migrateLegacyHistory();
+
+      this.initialized = true;
+      if (DEBUG) {
+        console.log('Price history initialized');
+      }
+    } catch (error) {
+      console.error('Price history initialization error:', error);
+      this.initialized = true;
+    }
+  }
+
+  /**
+   * Splits the single `priceHistory` object written before products had their own keys.
+   * @async
+   */
+  async migrateLegacyHistory() {
+    const { legacyKey, keyPrefix } = PRICE_HISTORY_CONFIG;
+    const { [legacyKey]: legacy } = await chrome.storage.local.get(legacyKey);
+    if (!legacy) return;
+
+    const items = Object.fromEntries(Object.entries(legacy)
+      .filter(([, entries]) => Array.isArray(entries) && entries.length > 0)
+      .map(([key, entries]) => [keyPrefix + key, entries]));
+
+    await chrome.storage.local.set(items);
+    await chrome.storage.local.remove(legacyKey);
+    await this.evict();
+  }
+
+  /**
+   * Removes the least recently recorded products beyond PRICE_HISTORY_CONFIG.maxProducts.
+   * This reads all of storage, so it only runs when the number of products may have grown.
+   * @async
+   * @returns {Promise<number>} The number of products kept
+   */
+  async evict() {
+    const { keyPrefix, maxProducts } = PRICE_HISTORY_CONFIG;
+    const stored = await chrome.storage.local.get(null);
+    const keys = Object.keys(stored).filter(key => key.startsWith(keyPrefix));
+    if (keys.length <= maxProducts) return keys.length;
+
+    const lastRecorded = key => stored[key][stored[key].length - 1]?.timestamp || 0;
+    const evicted = keys
+      .sort((a, b) => lastRecorded(a) - lastRecorded(b))
+      .slice(0, keys.length - maxProducts);
+    await chrome.storage.local.remove(evicted);
+
+    if (DEBUG) {
+      console.log('Evicted price history for', evicted.length, 'products');
+    }
+    return maxProducts;
+  }
+
+  async waitForInitialization() {
+    await this.initPromise;
+  }
+
+  static key(platform, productId) {
+    return `${platform}:${productId}`;
+  }
+
+  static storageKey(platform, productId) {
+    return PRICE_HISTORY_CONFIG.keyPrefix + PriceHistory.key(platform, productId);
+  }
+
+  async get(platform, productId) {
+    await this.waitForInitialization();
+
+    const storageKey = PriceHistory.storageKey(platform, productId);
+    const result = await chrome.storage.local.get(storageKey);
+    return result[storageKey] || [];
+  }
+
+  async record(platform, productId, price) {
+    await this.waitForInitialization();
+
+    const entries = await this.get(platform, productId);
+    const last = entries[entries.length - 1];
+
+    if (last && last.price === price && Date.now() - last.timestamp < PRICE_HISTORY_CONFIG.minInterval) {
+      return;
+    }
+
+    entries.push({
+      timestamp: Date.now(),
+      platform,
+      price
+    });
+
+    if (entries.length > PRICE_HISTORY_CONFIG.maxEntriesPerProduct) {
+      entries.splice(0, entries.length - PRICE_HISTORY_CONFIG.maxEntriesPerProduct);
+    }
+
+    await this.persistToStorage(PriceHistory.storageKey(platform, productId), entries);
+    if (entries.length === 1) {
+      await this.evict();
+    }
+  }
+
+  /**
+   * Writes one product's entries, leaving every other product's key untouched.
+   * @async
+   * @param {string} storageKey - The product's `priceHistory:` key
+   * @param {Array<Object>} entries - All of the product's entries
+   */
+  async persistToStorage(storageKey, entries) {
+    try {
+      await chrome.storage.local.set({ [storageKey]: entries });
+    } catch (error) {
+      console.error('Price history persistence error:', error);
+    }
+  }
+}
+
+/**
+ * Stores the haul being planned across Yupoo stores in chrome.storage.local.
+ * 
+ * @class HaulManager
+ * @description Haul items are keyed by album URL and hold a snapshot of the product at the
+ * time it was added ({ url, title, store, note, quantity, platform, link, price, timestamp }),
+ * with `price` in CNY. The popup edits the same storage key, so the in-memory copy follows
+ * storage changes.
+ * 
+ * @property {Map} items - Haul items keyed by album URL
+ */
+class HaulManager {
+  constructor() {
+    this.items = new Map();
+    this.initialized = false;
+    this.initPromise = this.initialize();
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.haul) {
+        this.items = new Map(Object.entries(changes.haul.newValue || {}));
+      }
+    });
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      const result = await chrome.storage.local.get('haul');
+      if (result.haul) {
+        this.items = new Map(Object.entries(result.haul));
+      }
+
+      this.initialized = true;
+      if (DEBUG) {
+        console.log('Haul initialized with', this.items.size, 'items');
+      }
+    } catch (error) {
+      console.error('Haul initialization error:', error);
+      this.initialized = true;
+    }
+  }
+
+  async waitForInitialization() {
+    await this.initPromise;
+  }
+
+  async add(url, productDetails, note = '') {
+    await this.waitForInitialization();
+
+    const existing = this.items.get(url);
+    const item = {
+      url,
+      title: productDetails.title || url,
+      store: new URL(url).hostname.split('.')[0],
+      note,
+      quantity: existing ? existing.quantity + 1 : 1,
+      platform: productDetails.platform || null,
+      link: productDetails.link,
+      price: parsePriceText(productDetails.price),
+      timestamp: Date.now()
+    };
+
+    this.items.set(url, item);
+    await this.persistToStorage();
+    return item;
+  }
+
+  async has(url) {
+    await this.waitForInitialization();
+    return this.items.has(url);
+  }
+
+  async persistToStorage() {
+    try {
+      const haulObject = Object.fromEntries(this.items);
+      await chrome.storage.local.set({ haul: haulObject });
+    } catch (error) {
+      console.error('Haul persistence error:', error);
+    }
+  }
+}
+
+/**
+ * Keeps a directory of the Yupoo stores the user has visited in chrome.storage.local.
+ * 
+ * @class SellerDirectory
+ * @description Sellers are keyed by store subdomain and hold what was observed while browsing
+ * ({ id, name, url, firstVisit, lastVisit, visits, albums }), where `albums` maps the IDs of
+ * the albums seen to whether a marketplace link was found in them, which gives the store's link
+ * coverage. The popup adds `favourite`, `tags` and `notes` to the same entries, so the in-memory
+ * copy follows storage changes, and observations are queued as updates that are applied to the
+ * entries freshly read from storage, at most once per SELLER_CONFIG.flushDelay.
+ * 
+ * @property {Map} sellers - Sellers keyed by store subdomain
+ * @property {Map} pending - Updates waiting to be written, keyed by store subdomain
+ */
+class SellerDirectory {
+  constructor() {
+    this.sellers = new Map();
+    this.pending = new Map();
+    this.timer = null;
+    this.flushing = Promise.resolve();
+    this.initialized = false;
+    this.initPromise = this.initialize();
+
+    window.addEventListener('pagehide', () => this.flush());
+
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes.sellers) {
+        this.sellers = new Map(Object.entries(changes.sellers.newValue || {}));
+      }
+    });
+  }
+
+  async initialize() {
+    if (this.initialized) return;
+
+    try {
+      const result = await chrome.storage.local.get('sellers');
+      if (result.sellers) {
+        this.sellers = new Map(Object.entries(result.sellers));
+      }
+
+      this.initialized = true;
+      if (DEBUG) {
+        console.log('Seller directory initialized with', this.sellers.size, 'sellers');
+      }
+    } catch (error) {
+      console.error('Seller directory initialization error:', error);
+      this.initialized = true;
+    }
+  }
+
+  async waitForInitialization() {
+    await this.initPromise;
+  }
+
+  isStore(hostname) {
+    return hostname.endsWith('.yupoo.com') &&
+      !SELLER_CONFIG.ignoredSubdomains.includes(hostname.split('.')[0]);
+  }
+
+  static create(hostname) {
+    return {
+      id: hostname.split('.')[0],
+      name: hostname.split('.')[0],
+      url: `https://${hostname}/albums`,
+      firstVisit: Date.now(),
+      lastVisit: Date.now(),
+      visits: 0,
+      albums: {},
+      favourite: false,
+      tags: [],
+      notes: ''
+    };
+  }
+
+  /**
+   * Applies an update to the in-memory seller and queues it for the next write.
+   * @param {string} hostname - The store hostname
+   * @param {Function} update - Mutates a seller entry; called again on the stored entry
+   * @returns {Object} The updated in-memory seller
+   */
+  update(hostname, update) {
+    const id = hostname.split('.')[0];
+    if (!this.sellers.has(id)) {
+      this.sellers.set(id, SellerDirectory.create(hostname));
+    }
+    const seller = this.sellers.get(id);
+    update(seller);
+
+    const pending = this.pending.get(id) || {
+      created: SellerDirectory.create(hostname),
+      updates: []
+    };
+    pending.updates.push(update);
+    this.pending.set(id, pending);
+    if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), SELLER_CONFIG.flushDelay);
+    }
+    return seller;
+  }
+
+  async recordVisit(hostname, name) {
+    await this.waitForInitialization();
+    if (!this.isStore(hostname)) return null;
+
+    const lastVisit = Date.now();
+    return this.update(hostname, seller => {
+      seller.name = name || seller.name;
+      seller.lastVisit = lastVisit;
+      seller.visits += 1;
+    });
+  }
+
+  async recordAlbum(albumUrl, hasLinks) {
+    await this.waitForInitialization();
+
+    const url = new URL(albumUrl, window.location.href);
+    const albumId = url.pathname.match(/\/albums\/(\d+)/)?.[1];
+    if (!albumId || !this.isStore(url.hostname)) return;
+
+    this.update(url.hostname, seller => {
+      seller.albums[albumId] = hasLinks;
+
+      // Numeric keys enumerate in ascending order, so the oldest albums are dropped first
+      const albumIds = Object.keys(seller.albums);
+      albumIds.slice(0, Math.max(0, albumIds.length - SELLER_CONFIG.maxAlbums))
+        .forEach(id => delete seller.albums[id]);
+    });
+  }
+
+  /**
+   * Applies the queued updates to the sellers currently in storage and writes them in one go,
+   * so fields edited in the popup or by other tabs since this page loaded are kept.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    this.flushing = this.flushing.then(async () => {
+      if (this.pending.size === 0) return;
+
+      const pending = [...this.pending.entries()];
+      this.pending.clear();
+
+      try {
+        const { sellers = {} } = await chrome.storage.local.get('sellers');
+        pending.forEach(([id, { created, updates }]) => {
+          const seller = { ...created, ...sellers[id] };
+          updates.forEach(update => update(seller));
+          sellers[id] = seller;
+        });
+        await chrome.storage.local.set({ sellers });
+      } catch (error) {
+        console.error('Seller directory persistence error:', error);
+      }
+    });
+    return this.flushing;
+  }
+}
+
+/**
+ * Reads the store's display name from the page, falling back to nothing so the subdomain is kept.
+ * @returns {string|null} The store name
+ */
+function getStoreName() {
+  for (const selector of SELLER_CONFIG.nameSelectors) {
+    const text = document.querySelector(selector)?.textContent.trim();
+    if (text) return text;
+  }
+  return null;
+}
+
 const bookmarkManager = new BookmarkManager();
+const priceHistory = new PriceHistory();
+const haulManager = new HaulManager();
+const sellerDirectory = new SellerDirectory();
 
 // --- START DON'T TOUCH ---
 const productCache = new PersistentCache();
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'preferencesUpdated') {
-    Object.assign(PLATFORM_CONFIG, {
-      preferredPlatform: message.preferences.platform,
-      preferredAgent: message.preferences.agent,
-      preferredCurrency: message.preferences.currency
-    });
-  }
-});
-
 function toggleDarkMode() {
   setTimeout(() => {
     Object.entries(DARK_MODE_STYLES).forEach(([selector, styles]) => {
@@ -442,16 +760,19 @@ function toggleDarkMode() {
   }, 25);
 }
 
+let darkModeEnabled = false;
+
 async function initializeDarkMode() {
-  const darkModePreference = await chrome.storage.local.get('darkMode');
-  if (darkModePreference?.enabled) {
+  darkModeEnabled = (await loadSettings()).darkMode;
+  if (darkModeEnabled) {
     toggleDarkMode();
   }
 }
 
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'darkModeChanged') {
-    if (message.enabled) {
+onSettingsChanged(({ darkMode }) => {
+  if (darkMode !== darkModeEnabled) {
+    darkModeEnabled = darkMode;
+    if (darkMode) {
       toggleDarkMode();
     } else {
       window.location.reload();
@@ -537,6 +858,7 @@ function createPriceBadge() {
   container.style.display = 'inline-flex';
   container.style.alignItems = 'center';
   container.style.gap = '8px';
+  container.style.position = 'relative';
   
   const badge = document.createElement('span');
   badge.style.backgroundColor = '#2e7d32';
@@ -575,21 +897,117 @@ function createPriceBadge() {
   quickBuyButton.textContent = 'Quick Buy';
   quickBuyButton.style.display = 'none';
 
+  const haulButton = document.createElement('span');
+  haulButton.style.backgroundColor = '#6a1b9a';
+  haulButton.style.color = '#ffffff';
+  haulButton.style.padding = '1px 4px';
+  haulButton.style.borderRadius = '2px';
+  haulButton.style.fontSize = '0.9em';
+  haulButton.style.fontWeight = '400';
+  haulButton.style.opacity = '0';
+  haulButton.style.transition = 'opacity 0.3s ease';
+  haulButton.style.cursor = 'pointer';
+  haulButton.textContent = 'Add to Haul';
+  haulButton.style.display = 'none';
+
+  const historyIndicator = document.createElement('span');
+  historyIndicator.style.display = 'none';
+  historyIndicator.style.alignItems = 'center';
+  historyIndicator.style.gap = '4px';
+  historyIndicator.style.fontSize = '0.8em';
+  historyIndicator.style.color = '#757575';
+  historyIndicator.style.opacity = '0';
+  historyIndicator.style.transition = 'opacity 0.3s ease';
+
+  const landedCost = document.createElement('span');
+  landedCost.style.backgroundColor = '#455a64';
+  landedCost.style.color = '#ffffff';
+  landedCost.style.padding = '1px 4px';
+  landedCost.style.borderRadius = '2px';
+  landedCost.style.fontSize = '0.9em';
+  landedCost.style.fontWeight = '400';
+  landedCost.style.opacity = '0';
+  landedCost.style.transition = 'opacity 0.3s ease';
+  landedCost.style.display = 'none';
+
+  const comparison = document.createElement('span');
+  comparison.style.display = 'none';
+  comparison.style.gap = '4px';
+  comparison.style.opacity = '0';
+  comparison.style.transition = 'opacity 0.3s ease';
+
+  const variantToggle = document.createElement('span');
+  variantToggle.style.backgroundColor = '#00796b';
+  variantToggle.style.color = '#ffffff';
+  variantToggle.style.padding = '1px 4px';
+  variantToggle.style.borderRadius = '2px';
+  variantToggle.style.fontSize = '0.9em';
+  variantToggle.style.fontWeight = '400';
+  variantToggle.style.opacity = '0';
+  variantToggle.style.transition = 'opacity 0.3s ease';
+  variantToggle.style.cursor = 'pointer';
+  variantToggle.style.display = 'none';
+
+  const variantList = document.createElement('span');
+  variantList.style.position = 'absolute';
+  variantList.style.top = '100%';
+  variantList.style.left = '0';
+  variantList.style.zIndex = '10000';
+  variantList.style.marginTop = '4px';
+  variantList.style.padding = '6px';
+  variantList.style.backgroundColor = '#ffffff';
+  variantList.style.border = '1px solid #e0e0e0';
+  variantList.style.borderRadius = '4px';
+  variantList.style.boxShadow = '0 2px 8px rgba(0,0,0,0.15)';
+  variantList.style.fontSize = '0.9em';
+  variantList.style.color = '#212121';
+  variantList.style.whiteSpace = 'nowrap';
+  variantList.style.display = 'none';
+
   container.appendChild(badge);
+  container.appendChild(variantToggle);
+  container.appendChild(variantList);
+  container.appendChild(landedCost);
+  container.appendChild(historyIndicator);
+  container.appendChild(comparison);
   container.appendChild(retryButton);
   container.appendChild(quickBuyButton);
-  return { container, badge, retryButton, quickBuyButton };
+  container.appendChild(haulButton);
+  return {
+    container, badge, variantToggle, variantList, landedCost, historyIndicator,
+    comparison, retryButton, quickBuyButton, haulButton
+  };
 }
 
 // --- END OF DON'T TOUCH ---
 
 /**
- * Determines which platform's price to use based on configuration and availability.
+ * Orderings used by selectPlatformPrice, keyed by PLATFORM_CONFIG.platformStrategy.
+ * Each strategy receives the platforms that have a price and a link, and returns them best first.
+ * - preferred: the preferred platform first, then by priority
+ * - cheapest: the lowest price first, then by priority
+ * - preferredOnly: only the preferred platform
+ */
+const PLATFORM_STRATEGIES = {
+  preferred: (available, preferred) => available.sort((a, b) =>
+    (a.platform !== preferred) - (b.platform !== preferred) || a.priority - b.priority
+  ),
+  cheapest: (available) => available.sort((a, b) =>
+    parsePriceText(a.price) - parsePriceText(b.price) || a.priority - b.priority
+  ),
+  preferredOnly: (available, preferred) => available.filter(data => data.platform === preferred)
+};
+
+/**
+ * Determines which platform's price to use based on the configured strategy and availability.
+ * Falls back to the preferred platform's entry (which may still carry a link) when no
+ * platform qualifies.
  * @param {Object} prices - Object containing prices from different platforms
  * @returns {Object} Selected platform price and details
  */
 function selectPlatformPrice(prices) {
-  const { platforms } = PLATFORM_CONFIG;
+  const { platforms, preferredPlatform, platformStrategy } = PLATFORM_CONFIG;
+  const strategy = PLATFORM_STRATEGIES[platformStrategy] || PLATFORM_STRATEGIES.preferred;
   
   const availablePrices = Object.entries(prices)
     .filter(([_, data]) => data.price !== 'N/A' && data.link)
@@ -599,65 +1017,230 @@ function selectPlatformPrice(prices) {
       priority: platforms[platform].priority
     }));
 
-  if (availablePrices.length === 0) {
-    const highestPriority = Object.entries(platforms)
-      .sort(([, a], [, b]) => a.priority - b.priority)[0][0];
-    return prices[highestPriority] || { price: 'N/A', link: null };
+  const [selected] = strategy(availablePrices, preferredPlatform);
+  if (selected) {
+    return selected;
   }
 
-  return availablePrices.sort((a, b) => a.priority - b.priority)[0];
+  return prices[preferredPlatform]
+    ? { platform: preferredPlatform, ...prices[preferredPlatform] }
+    : { price: 'N/A', link: null };
 }
 
 /**
- * Extracts the Weidian product ID from a given URL.
- * @param {string} url - The Weidian product URL to extract the ID from.
- * @returns {string|null} The extracted product ID if found, null if extraction fails.
- * @example
- * // Returns "7234120843"
- * extractWeidianId("https://shop123456.v.weidian.com/item.html?itemID=7234120843")
+ * Finds the platform with the lowest price among those that have a link and a numeric price.
+ * @param {Object} prices - Object containing prices from different platforms
+ * @returns {string|null} The cheapest platform, or null if fewer than two platforms are priced
  */
-function extractWeidianId(url) {
-  try {
-    const urlObj = new URL(url);
-    const itemId = urlObj.searchParams.get('itemID');
-    return itemId || null;
-  } catch (error) {
-    console.error('Error extracting Weidian ID:', error);
+function getCheapestPlatform(prices) {
+  const priced = Object.entries(prices || {})
+    .filter(([_, data]) => data.link && parsePriceText(data.price) !== null);
+
+  if (priced.length < 2) {
     return null;
   }
+
+  return priced
+    .sort(([, a], [, b]) => parsePriceText(a.price) - parsePriceText(b.price))[0][0];
 }
 
 /**
- * Extracts the Taobao product ID from a given URL.
- * @param {string} url - The Taobao product URL to extract the ID from.
- * @returns {string|null} The extracted product ID if found, null if extraction fails.
- * @example
- * // Returns "12345"
- * extractTaobaoId("https://item.taobao.com/item.htm?id=12345")
- * // Returns "12345" 
- * extractTaobaoId("https://item.taobao.com/12345")
+ * Trims separators and whitespace around the label text written next to a link.
+ * @param {string} text - The raw text
+ * @returns {string} The label, at most 60 characters long
  */
-function extractTaobaoId(url) {
-  try {
-    if (url.includes('?')) {
-      const urlObj = new URL(url);
-      const idParam = urlObj.searchParams.get('id');
-      if (idParam) return idParam;
+function cleanLinkLabel(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s:：\-–|>→]+|[\s:：\-–|>→]+$/g, '')
+    .slice(0, 60);
+}
+
+/**
+ * Finds the closest non-empty text before a node, used as the label of a link
+ * written on its own line (e.g. "Black<br>item.taobao.com/...").
+ * @param {Node} node - The link's node
+ * @returns {string} The label, or an empty string
+ */
+function getPrecedingText(node) {
+  let current = node;
+
+  while (current) {
+    while (current.previousSibling) {
+      current = current.previousSibling;
+      const text = cleanLinkLabel(current.textContent || '');
+      if (text && findMarketplaceLinks(text).length === 0) {
+        return text;
+      }
+      if (text) {
+        return '';
+      }
+    }
+    current = current.parentNode;
+    const boundaries = [LINK_SOURCES_CONFIG.scope, ...Object.values(LINK_SOURCES_CONFIG.containers)];
+    if (!current || current.matches?.(boundaries.join(', '))) {
+      return '';
     }
-    
-    const pathParts = url.split('/');
-    return pathParts[pathParts.length - 1];
-  } catch (error) {
-    console.error('Error extracting Taobao ID:', error);
-    return null;
   }
+
+  return '';
+}
+
+/**
+ * Finds every marketplace product linked from an album page.
+ * Links are collected from anchor hrefs (including redirect wrappers that carry the target
+ * in a query parameter, and agent links, which are converted back to the marketplace) and
+ * from the text nodes of the known Yupoo description containers listed in LINK_SOURCES_CONFIG.
+ * Both are limited to the album header and body matched by LINK_SOURCES_CONFIG.scope. Each text
+ * node is scanned on its own so that text in neighbouring elements doesn't run into a link.
+ * 
+ * @param {Document} doc - The album document, either fetched or the current page
+ * @returns {Object[]} { platform, id, link, label, sources } for each product, de-duplicated by
+ * canonical product ID, where `label` is the text next to the link (such as a colourway) and
+ * `sources` lists where the product was found ('anchor', 'subtitle', ...)
+ * @example
+ * // Returns [{ platform: 'taobao', id: '12345', link: 'item.taobao.com/item.htm?id=12345', label: 'Black', sources: ['anchor', 'subtitle'] }]
+ * extractAlbumLinks(document)
+ */
+function extractAlbumLinks(doc) {
+  const found = new Map();
+  const roots = [...doc.querySelectorAll(LINK_SOURCES_CONFIG.scope)];
+  const inAlbum = node => roots.some(root => root.contains(node));
+
+  const addLinks = (links, source, getLabel) => {
+    links.forEach(link => {
+      const key = `${link.platform}:${link.id}`;
+      const existing = found.get(key);
+      if (existing) {
+        if (!existing.sources.includes(source)) existing.sources.push(source);
+        existing.label = existing.label || getLabel(link);
+      } else {
+        found.set(key, { ...link, label: getLabel(link), sources: [source] });
+      }
+    });
+  };
+
+  [...doc.querySelectorAll(LINK_SOURCES_CONFIG.anchors)].filter(inAlbum).forEach(anchor => {
+    const href = anchor.getAttribute('href');
+    const links = findMarketplaceLinks(href);
+
+    if (links.length === 0) {
+      try {
+        const wrapped = [...new URL(href, 'https://x.yupoo.com').searchParams.values()].join(' ');
+        links.push(...findMarketplaceLinks(wrapped));
+      } catch (error) {
+        // Not a URL, nothing to unwrap
+      }
+    }
+
+    if (links.length === 0) {
+      const agentLink = parseAgentUrl(href);
+      if (agentLink) {
+        const { platform, id } = agentLink;
+        links.push({ platform, id, link: canonicalMarketplaceUrl(platform, id).replace(/^https:\/\//, '') });
+      }
+    }
+
+    addLinks(links, 'anchor', () => {
+      const text = cleanLinkLabel(anchor.textContent);
+      return text && findMarketplaceLinks(text).length === 0 ? text : getPrecedingText(anchor);
+    });
+  });
+
+  Object.entries(LINK_SOURCES_CONFIG.containers).forEach(([source, selector]) => {
+    [...doc.querySelectorAll(selector)].filter(inAlbum).forEach(container => {
+      const walker = doc.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+      while (walker.nextNode()) {
+        const node = walker.currentNode;
+        const text = node.textContent;
+
+        addLinks(findMarketplaceLinks(text), source, link => {
+          const before = text.slice(0, text.indexOf(link.link)).replace(/https?:\/\/$/, '');
+          const label = cleanLinkLabel(before.split(/https?:\/\/\S+|\S+\.com\/\S+/).pop());
+          return label || getPrecedingText(node);
+        });
+      }
+    });
+  });
+
+  return Array.from(found.values());
+}
+
+/**
+ * Looks up prices for every marketplace product linked from an album page.
+ * Prices are looked up by the background worker's provider chain, which answers 'getPrice'
+ * messages with a structured result (provider, price, title, availability, variant range, error code).
+ * @async
+ * @param {Document} doc - The album document, either fetched or the current page
+ * @returns {Promise<Object>} `variants`, every linked product with its label and price, and
+ * `prices`, the first variant of each platform that can be priced, keyed by platform
+ */
+async function fetchPlatformPrices(doc) {
+  const prices = Object.fromEntries(
+    Object.entries(PLATFORM_CONFIG.platforms)
+      .filter(([, { priced }]) => priced !== false)
+      .map(([platform]) => [platform, { price: 'N/A', link: null }])
+  );
+
+  const links = extractAlbumLinks(doc).filter(({ platform }) => PLATFORM_CONFIG.platforms[platform]);
+
+  const fetchVariantPrice = async ({ platform, id: productId, link, label, sources }) => {
+    const variant = { platform, id: productId, link, label, sources, price: 'N/A' };
+    try {
+      const priceResponse = await chrome.runtime.sendMessage({
+        type: 'getPrice',
+        platform,
+        productId
+      });
+      const result = priceResponse?.data;
+      if (result) {
+        Object.assign(variant, {
+          price: result.price !== null ? `¥${result.price}` : 'N/A',
+          provider: result.provider,
+          title: result.title,
+          availability: result.availability,
+          variantRange: result.variantRange,
+          errorCode: result.errorCode
+        });
+      }
+
+      if (priceResponse?.success) {
+        await priceHistory.record(platform, productId, result.price);
+      }
+    } catch (error) {
+      console.error(`${platform} price fetch error:`, error);
+    }
+    return variant;
+  };
+
+  const variants = await Promise.all(links.map(fetchVariantPrice));
+
+  variants.forEach(({ platform, ...variant }) => {
+    if (prices[platform] && !prices[platform].link) {
+      prices[platform] = variant;
+    }
+  });
+
+  return { prices, variants };
+}
+
+/**
+ * Collects the album title and description text, used to guess the item's weight.
+ * @param {Document} doc - The album document
+ * @returns {string} The combined text
+ */
+function getAlbumText(doc) {
+  const title = doc.querySelector('.showalbumheader__gallerytitle')?.textContent || '';
+  const subtitle = doc.querySelector('.showalbumheader__gallerysubtitle')?.textContent || '';
+  return `${title}\n${subtitle}`;
 }
 
 /**
  * Fetches product details from a given product link, including price and platform links.
  * @async
  * @param {string} productLink - The URL of the product to fetch details from
- * @returns {Promise<Object>} Product details including prices from both platforms
+ * @returns {Promise<Object>} The selected platform's details, with every platform's price under `prices`,
+ * every linked product under `variants` and the estimated item weight under `weight`
  */
 async function fetchProductDetails(productLink) {
   const timeout = new Promise((_, reject) => 
@@ -674,44 +1257,14 @@ async function fetchProductDetails(productLink) {
     const parser = new DOMParser();
     const doc = parser.parseFromString(html, 'text/html');
     
-    const subtitleDiv = doc.querySelector('.showalbumheader__gallerysubtitle.htmlwrap__main');
-    const content = subtitleDiv?.textContent || '';
-    
-    const taobaoMatch = content.match(/item\.taobao\.com[^\s"]*/);
-    const weidianMatch = content.match(/(?:shop\d+\.v\.weidian\.com|weidian\.com)\/item\.html\?[^\s"]*/);
-    
-    const prices = {
-      taobao: { price: 'N/A', link: null },
-      weidian: { price: 'N/A', link: null }
-    };
-
-    const fetchPriceForPlatform = async (platform, link, extractId) => {
-      const productId = extractId(`https://${link}`);
-      if (productId) {
-        prices[platform].link = link;
-        const jadeshipUrl = `${PLATFORM_CONFIG.platforms[platform].baseUrl}${productId}`;
-        try {
-          const priceResponse = await chrome.runtime.sendMessage({
-            type: 'fetchPrice',
-            url: jadeshipUrl
-          });
-          if (priceResponse?.success) {
-            const priceDoc = parser.parseFromString(priceResponse.data, 'text/html');
-            const priceDiv = priceDoc.querySelector('.rounded-sm.bg-muted.p-1.text-right.text-3xl');
-            prices[platform].price = priceDiv?.querySelector('span')?.textContent || 'N/A';
-          }
-        } catch (error) {
-          console.error(`${platform} price fetch error:`, error);
-        }
-      }
+    const { prices, variants } = await fetchPlatformPrices(doc);
+    await sellerDirectory.recordAlbum(productLink, variants.length > 0);
+    return {
+      ...selectPlatformPrice(prices),
+      prices,
+      variants,
+      weight: estimateItemWeight(getAlbumText(doc))
     };
-
-    await Promise.all([
-      taobaoMatch ? fetchPriceForPlatform('taobao', taobaoMatch[0], extractTaobaoId) : Promise.resolve(),
-      weidianMatch ? fetchPriceForPlatform('weidian', weidianMatch[0], extractWeidianId) : Promise.resolve()
-    ]);
-
-    return selectPlatformPrice(prices);
   } catch (error) {
     console.error('Product fetch error:', error);
     return { price: 'N/A', link: null };
@@ -719,49 +1272,429 @@ async function fetchProductDetails(productLink) {
 }
 
 /**
- * Calculates the final price including agent service fees.
- * Different agents have different markup rates:
- * - Superbuy: 2.38% fixed markup
- * - CSSBuy: 2% service fee
- * - AllChinaBuy: 4% service fee
- * - Others: 3% default markup
- * 
- * Note: These are basic estimates and actual costs may vary based on:
- * - Order value tiers
- * - Additional service fees
- * - Shipping costs
- * - Payment processing fees
- * 
- * @param {number} price - The original price in CNY
- * @param {string} agent - The agent name ('superbuy', 'cssbuy', 'allchinabuy')
- * @returns {number} The price with agent fee applied
- * 
+ * Builds the purchase URL for a product link on the given agent's site.
+ * The link may be a marketplace link or another agent's link. Links that can't be
+ * normalised are passed to URL-wrapping agents as they are, and opened directly otherwise.
+ * @param {string} agentName - Key of the agent in PLATFORM_CONFIG.agents
+ * @param {string} platform - The marketplace platform ('taobao', 'weidian' or '1688')
+ * @param {string} link - The product link without protocol
+ * @returns {string} The agent URL for the product
  * @example
- * // Returns 102.38
- * calculateAgentFee(100, 'superbuy')
+ * // Returns "https://hoobuy.com/product/1/12345"
+ * buildAgentUrl('hoobuy', 'taobao', 'item.taobao.com/item.htm?id=12345')
+ */
+function buildAgentUrl(agentName, platform, link) {
+  const parsed = parseProductUrl(link);
+  if (parsed) {
+    return formatAgentUrl(agentName, parsed.platform, parsed.id);
+  }
+
+  const agent = PLATFORM_CONFIG.agents[agentName];
+  if (agent.formatUrl) {
+    return `https://${link}`;
+  }
+  return `${agent.baseUrl}${encodeURIComponent(`https://${link}`)}`;
+}
+
+/**
+ * Formats a raw Jadeship price for display, applying the preferred agent's fee
+ * and converting it to the preferred currency.
+ * @async
+ * @param {string} price - The scraped price text (CNY) or 'N/A'
+ * @returns {Promise<string>} The formatted price, or the raw text if it isn't numeric
+ */
+async function formatDisplayPrice(price) {
+  if (price === 'N/A') {
+    return price;
+  }
+
+  const priceNumber = parsePriceText(price);
+  if (priceNumber === null) {
+    return price;
+  }
+
+  const priceWithFee = calculateAgentFee(priceNumber, PLATFORM_CONFIG.preferredAgent);
+  await fetchExchangeRates();
+  const convertedPrice = convertCurrencyForAgent(
+    priceWithFee,
+    PLATFORM_CONFIG.preferredAgent,
+    PLATFORM_CONFIG.preferredCurrency
+  );
+
+  let text = formatCurrency(convertedPrice, PLATFORM_CONFIG.preferredCurrency);
+  if (DEBUG) {
+    const originalConverted = convertCurrency(priceNumber, 'cny', PLATFORM_CONFIG.preferredCurrency);
+    text += ` (${formatCurrency(originalConverted, PLATFORM_CONFIG.preferredCurrency)})`;
+  }
+  return text;
+}
+
+/**
+ * Builds a small inline SVG line chart for a series of values.
+ * @param {number[]} values - The values to plot, oldest first
+ * @param {number} [width=48] - Width of the chart in pixels
+ * @param {number} [height=14] - Height of the chart in pixels
+ * @returns {SVGElement} The sparkline element
+ */
+function createSparkline(values, width = 48, height = 14) {
+  const svgNS = 'http://www.w3.org/2000/svg';
+  const svg = document.createElementNS(svgNS, 'svg');
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+  svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const step = values.length > 1 ? width / (values.length - 1) : 0;
+
+  const points = values.map((value, index) => {
+    const x = index * step;
+    const y = height - 1 - ((value - min) / range) * (height - 2);
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  const polyline = document.createElementNS(svgNS, 'polyline');
+  polyline.setAttribute('points', points.join(' '));
+  polyline.setAttribute('fill', 'none');
+  polyline.setAttribute('stroke', values[values.length - 1] <= values[0] ? '#2e7d32' : '#d32f2f');
+  polyline.setAttribute('stroke-width', '1.5');
+  svg.appendChild(polyline);
+
+  return svg;
+}
+
+/**
+ * Renders the price trend of a product into the badge's history indicator.
+ * The indicator stays hidden until the product has been seen at more than one price.
+ * @async
+ * @param {HTMLElement} indicator - The history element created by createPriceBadge
+ * @param {Object} productDetails - Product details holding the platform and product ID
+ * @returns {Promise<void>}
+ */
+async function updateHistoryIndicator(indicator, productDetails) {
+  indicator.innerHTML = '';
+  indicator.style.display = 'none';
+
+  if (!productDetails?.platform || !productDetails.id) {
+    return;
+  }
+
+  const entries = await priceHistory.get(productDetails.platform, productDetails.id);
+  const values = entries.map(entry => entry.price);
+  const current = values[values.length - 1];
+  const previous = [...values].reverse().find(value => value !== current);
+
+  if (previous === undefined) {
+    return;
+  }
+
+  const wasText = document.createElement('span');
+  wasText.textContent = `was ${formatCurrency(previous, 'cny')}`;
+
+  indicator.appendChild(createSparkline(values));
+  indicator.appendChild(wasText);
+  indicator.style.display = 'inline-flex';
+}
+
+/**
+ * Renders a side-by-side comparison of every priced platform into the badge.
+ * The cheaper platform is highlighted, and clicking a platform opens it with the preferred agent.
+ * The comparison stays hidden unless more than one platform has a price.
+ * @async
+ * @param {HTMLElement} comparison - The comparison element created by createPriceBadge
+ * @param {Object} productDetails - Product details holding every platform's price under `prices`
+ * @returns {Promise<void>}
+ */
+async function updatePriceComparison(comparison, productDetails) {
+  comparison.innerHTML = '';
+  comparison.style.display = 'none';
+
+  const cheapest = getCheapestPlatform(productDetails?.prices);
+  if (!cheapest) {
+    return;
+  }
+
+  for (const [platform, data] of Object.entries(productDetails.prices)) {
+    if (!data.link || parsePriceText(data.price) === null) continue;
+
+    const chip = document.createElement('span');
+    chip.style.backgroundColor = platform === cheapest ? '#2e7d32' : '#757575';
+    chip.style.color = '#ffffff';
+    chip.style.padding = '1px 4px';
+    chip.style.borderRadius = '2px';
+    chip.style.fontSize = '0.9em';
+    chip.style.cursor = 'pointer';
+    chip.title = `Quick Buy on ${PLATFORM_CONFIG.platforms[platform].label}`;
+    chip.textContent = `${PLATFORM_CONFIG.platforms[platform].shortLabel} ${await formatDisplayPrice(data.price)}`;
+
+    chip.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      window.open(buildAgentUrl(PLATFORM_CONFIG.preferredAgent, platform, data.link), '_blank');
+    });
+
+    comparison.appendChild(chip);
+  }
+
+  comparison.style.display = 'inline-flex';
+}
+
+/**
+ * Renders one row per linked product variant: its label, its own price and a Quick Buy
+ * action for the preferred agent. Rows are spans with click handlers rather than links
+ * because product badges sit inside the album's anchor.
+ * @async
+ * @param {HTMLElement} list - The element to render the rows into
+ * @param {Array<Object>} variants - The variants returned by fetchPlatformPrices
+ * @returns {Promise<void>}
+ */
+async function updateVariantList(list, variants) {
+  list.innerHTML = '';
+
+  for (const [index, variant] of variants.entries()) {
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '8px';
+    row.style.padding = '2px 0';
+
+    const label = document.createElement('span');
+    label.style.flex = '1';
+    label.textContent = variant.label || `${PLATFORM_CONFIG.platforms[variant.platform].label} #${index + 1}`;
+    label.title = variant.title || variant.link;
+
+    const price = document.createElement('span');
+    price.style.fontWeight = '500';
+    price.textContent = await formatDisplayPrice(variant.price);
+    if (variant.availability === 'unavailable') {
+      price.style.textDecoration = 'line-through';
+      price.title = 'Out of stock';
+    }
+
+    const quickBuy = document.createElement('span');
+    quickBuy.style.backgroundColor = '#1976d2';
+    quickBuy.style.color = '#ffffff';
+    quickBuy.style.padding = '1px 4px';
+    quickBuy.style.borderRadius = '2px';
+    quickBuy.style.cursor = 'pointer';
+    quickBuy.textContent = 'Quick Buy';
+    quickBuy.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      window.open(buildAgentUrl(PLATFORM_CONFIG.preferredAgent, variant.platform, variant.link), '_blank');
+    });
+
+    row.appendChild(label);
+    row.appendChild(price);
+    row.appendChild(quickBuy);
+    list.appendChild(row);
+  }
+}
+
+/**
+ * Shows the "N variants" toggle on a product badge when its album links more than one product,
+ * and fills the dropdown it opens with every variant.
+ * @async
+ * @param {HTMLElement} toggle - The variant toggle created by createPriceBadge
+ * @param {HTMLElement} list - The variant dropdown created by createPriceBadge
+ * @param {Object} productDetails - Product details holding every linked product under `variants`
+ * @returns {Promise<void>}
+ */
+async function updateVariantToggle(toggle, list, productDetails) {
+  const variants = productDetails?.variants || [];
+  list.style.display = 'none';
+
+  if (variants.length < 2) {
+    toggle.style.display = 'none';
+    return;
+  }
+
+  await updateVariantList(list, variants);
+  toggle.textContent = `${variants.length} variants \u25BE`;
+  toggle.style.display = 'inline';
+
+  if (!toggle.dataset.bound) {
+    toggle.dataset.bound = 'true';
+    toggle.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      list.style.display = list.style.display === 'none' ? 'block' : 'none';
+    });
+    list.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+    });
+  }
+}
+
+/**
+ * Explains how a displayed price was computed, line by line, in the preferred currency.
+ * @async
+ * @param {string} price - The scraped price text (CNY) or 'N/A'
+ * @returns {Promise<string>} The fee breakdown, or an empty string if the price isn't numeric
+ */
+async function describeDisplayPrice(price) {
+  const priceNumber = parsePriceText(price);
+  if (priceNumber === null) {
+    return '';
+  }
+
+  const currency = PLATFORM_CONFIG.preferredCurrency;
+  const agent = PLATFORM_CONFIG.preferredAgent;
+  const breakdown = calculateAgentFeeBreakdown(priceNumber, agent);
+  await fetchExchangeRates();
+
+  const format = amount => formatCurrency(convertCurrencyForAgent(amount, agent, currency), currency);
+  const lines = [
+    `Item: ${format(breakdown.itemPrice)} (${formatCurrency(priceNumber, 'cny')})`,
+    `Service fee (${breakdown.percentage}%): ${format(breakdown.serviceFee)}`
+  ];
+
+  if (breakdown.fixedFee > 0) {
+    lines.push(`Fixed fee: ${format(breakdown.fixedFee)}`);
+  }
+  if (breakdown.paymentFee > 0) {
+    lines.push(`Payment fee (${breakdown.paymentPercentage}%): ${format(breakdown.paymentFee)}`);
+  }
+
+  lines.push(`Total via ${agent}: ${format(breakdown.total)}`);
+  if (currency !== 'cny') {
+    lines.push(...describeAgentRate(breakdown.total, agent, currency), describeRateAge());
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Compares a CNY total converted at the market rate and at the agent's own rate, when the
+ * user has set an exchange rate override for the agent.
+ * @param {number} total - The total in CNY
+ * @param {string} agent - The agent name
+ * @param {string} currency - The target currency code
+ * @returns {string[]} The "market" and "agent" totals, or nothing if no override applies
+ */
+function describeAgentRate(total, agent, currency) {
+  if (!findAgentRateOverride(agent, currency)) {
+    return [];
+  }
+
+  return [
+    `Market rate: ${formatCurrency(convertCurrency(total, 'cny', currency), currency)}`,
+    `Agent rate: ${formatCurrency(convertCurrencyForAgent(total, agent, currency), currency)}`
+  ];
+}
+
+/**
+ * Estimates the landed cost (item, agent fees and shipping) of a product in the preferred currency.
+ * @async
+ * @param {Object} productDetails - Product details holding the price and estimated weight
+ * @returns {Promise<Object|null>} The formatted total and an explanation, or null if it can't be estimated
+ */
+async function describeLandedCost(productDetails) {
+  const priceNumber = parsePriceText(productDetails?.price);
+  if (priceNumber === null || !productDetails.weight) {
+    return null;
+  }
+
+  const { weight, source, category } = productDetails.weight;
+  const estimate = estimateLandedCost(priceNumber, PLATFORM_CONFIG.preferredAgent, weight);
+  if (!estimate) {
+    return null;
+  }
+
+  const currency = PLATFORM_CONFIG.preferredCurrency;
+  const agent = PLATFORM_CONFIG.preferredAgent;
+  await fetchExchangeRates();
+
+  const format = amount => formatCurrency(convertCurrencyForAgent(amount, agent, currency), currency);
+  const weightNote = source === 'parsed' ? 'from album' : `estimated${category ? ` for ${category}` : ''}`;
+
+  return {
+    text: `≈ ${format(estimate.total)} landed`,
+    title: [
+      `Item with fees: ${format(estimate.itemTotal)}`,
+      `Shipping to ${SHIPPING_CONFIG.destination.toUpperCase()}: ${format(estimate.shipping)}`,
+      `Weight: ${weight}g (${weightNote})`,
+      ...describeAgentRate(estimate.total, agent, currency)
+    ].join('\n')
+  };
+}
+
+/**
+ * Runs async tasks with a bounded number of them in flight at once.
  * 
- * // Returns 102
- * calculateAgentFee(100, 'cssbuy')
+ * @class TaskPool
+ * @example
+ * const pool = new TaskPool(3);
+ * await pool.run(() => fetchProductDetails(url));
  * 
- * // Returns 104
- * calculateAgentFee(100, 'allchinabuy')
+ * @property {number} limit - Maximum number of concurrently running tasks
+ * @property {number} active - Number of running tasks
+ * @property {Array} queue - Tasks waiting for a free slot
  */
-function calculateAgentFee(price, agent) {
-  switch (agent.toLowerCase()) {
-    case 'superbuy':
-      return price * 1.0238;
-      
-    case 'cssbuy':
-      return price * 1.02;
-      
-    case 'allchinabuy':
-      return price * 1.04;
-      
-    default:
-      return price * 1.03;
+class TaskPool {
+  constructor(limit) {
+    this.limit = limit;
+    this.active = 0;
+    this.queue = [];
+  }
+
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task, resolve, reject });
+      this.next();
+    });
+  }
+
+  next() {
+    while (this.active < this.limit && this.queue.length > 0) {
+      const { task, resolve, reject } = this.queue.shift();
+      this.active++;
+
+      task()
+        .then(resolve, reject)
+        .finally(() => {
+          this.active--;
+          this.next();
+        });
+    }
   }
 }
 
+const prefetchPool = new TaskPool(PREFETCH_CONFIG.concurrency);
+const prefetchHandlers = new WeakMap();
+// Re-renders a tile's badge with the current settings, keyed by the tile's title element
+const badgeRefreshers = new Map();
+
+/**
+ * Loads prices for product tiles as they scroll into view when prefetching is enabled.
+ * Each tile is prefetched once; with prefetching disabled, tiles stay observed so
+ * enabling it later (see refreshPrefetchObserver) picks them up.
+ */
+const prefetchObserver = new IntersectionObserver((entries) => {
+  if (!PLATFORM_CONFIG.prefetchPrices) return;
+
+  entries
+    .filter(entry => entry.isIntersecting)
+    .forEach(entry => {
+      prefetchObserver.unobserve(entry.target);
+      prefetchHandlers.get(entry.target)?.();
+    });
+}, { rootMargin: PREFETCH_CONFIG.rootMargin });
+
+/**
+ * Re-observes every processed tile so that tiles already in view are prefetched
+ * right after prefetching is switched on.
+ */
+function refreshPrefetchObserver() {
+  document.querySelectorAll('a[data-processed]').forEach(element => {
+    if (prefetchHandlers.has(element)) {
+      prefetchObserver.unobserve(element);
+      prefetchObserver.observe(element);
+    }
+  });
+}
+
 /**
  * Processes a product element by adding an interactive price badge that appears on hover.
  * The price badge fetches and displays product details asynchronously.
@@ -782,12 +1715,17 @@ async function processProduct(product) {
     }
 
     titleElement.setAttribute('data-processed', 'true');
+    const productTitle = titleElement.textContent.trim();
     
-    const { container, badge, retryButton, quickBuyButton } = createPriceBadge();
+    const {
+      container, badge, variantToggle, variantList, landedCost, historyIndicator,
+      comparison, retryButton, quickBuyButton, haulButton
+    } = createPriceBadge();
     titleElement.insertBefore(container, titleElement.firstChild);
     titleElement.insertBefore(document.createTextNode(' '), container.nextSibling);
 
     let isHovered = false;
+    let isPinned = false;
     let currentProductDetails = null;
 
     const fetchAndUpdatePrice = async (useCache = true) => {
@@ -796,59 +1734,80 @@ async function processProduct(product) {
 
         if (!productDetails) {
           badge.textContent = 'Loading...';
+          badge.dataset.loading = 'true';
           retryButton.style.display = 'none';
           quickBuyButton.style.display = 'none';
-          productDetails = await fetchProductDetails(titleElement.href);
+          haulButton.style.display = 'none';
+          try {
+            productDetails = await fetchProductDetails(titleElement.href);
+          } finally {
+            delete badge.dataset.loading;
+          }
           await productCache.set(titleElement.href, productDetails);
         }
 
+        if (productDetails.prices) {
+          productDetails = { ...productDetails, ...selectPlatformPrice(productDetails.prices) };
+        }
+
         currentProductDetails = productDetails;
 
-        if (isHovered) {
-          if (productDetails.price !== 'N/A') {
-            const priceNumber = parseFloat(productDetails.price.replace(/[^0-9.]/g, ''));
-            if (!isNaN(priceNumber)) {
-              const priceWithFee = calculateAgentFee(priceNumber, PLATFORM_CONFIG.preferredAgent);
-              const rates = await fetchExchangeRates();
-              const convertedPrice = convertCurrency(priceWithFee, 'cny', PLATFORM_CONFIG.preferredCurrency);
-
-              badge.textContent = formatCurrency(convertedPrice, PLATFORM_CONFIG.preferredCurrency);
-              
-              if (DEBUG) {
-                const originalConverted = convertCurrency(priceNumber, 'cny', PLATFORM_CONFIG.preferredCurrency);
-                badge.textContent += ` (${formatCurrency(originalConverted, PLATFORM_CONFIG.preferredCurrency)})`;
-              }
-            } else {
-              badge.textContent = productDetails.price;
-            }
-          } else {
-            badge.textContent = productDetails.price;
-          }
+        if (isHovered || isPinned) {
+          badge.textContent = await formatDisplayPrice(productDetails.price);
+          badge.title = await describeDisplayPrice(productDetails.price);
+
+          const landed = await describeLandedCost(productDetails);
+          landedCost.textContent = landed?.text || '';
+          landedCost.title = landed?.title || '';
+          landedCost.style.display = landed ? 'inline-block' : 'none';
+
+          await updateHistoryIndicator(historyIndicator, productDetails);
+          await updatePriceComparison(comparison, productDetails);
+          await updateVariantToggle(variantToggle, variantList, productDetails);
           
           retryButton.style.display = productDetails.price === 'N/A' ? 'inline-block' : 'none';
           quickBuyButton.style.display = productDetails.link ? 'inline-block' : 'none';
+          haulButton.style.display = productDetails.link ? 'inline-block' : 'none';
         }
       } catch (error) {
         console.error('Error fetching product details:', error);
         badge.textContent = 'Error';
         retryButton.style.display = 'inline-block';
         quickBuyButton.style.display = 'none';
+        haulButton.style.display = 'none';
       }
     };
 
+    const setBadgeOpacity = (opacity) => {
+      [badge, variantToggle, landedCost, historyIndicator, comparison, retryButton, quickBuyButton, haulButton]
+        .forEach(element => element.style.opacity = opacity);
+    };
+
     titleElement.addEventListener('mouseenter', async () => {
       isHovered = true;
-      badge.style.opacity = '1';
-      retryButton.style.opacity = '1';
-      quickBuyButton.style.opacity = '1';
+      setBadgeOpacity('1');
       await fetchAndUpdatePrice(true);
     });
 
     titleElement.addEventListener('mouseleave', () => {
       isHovered = false;
-      badge.style.opacity = '0';
-      retryButton.style.opacity = '0';
-      quickBuyButton.style.opacity = '0';
+      variantList.style.display = 'none';
+      if (!isPinned) {
+        setBadgeOpacity('0');
+      }
+    });
+
+    prefetchHandlers.set(titleElement, () => prefetchPool.run(async () => {
+      isPinned = true;
+      await fetchAndUpdatePrice(true);
+      setBadgeOpacity('1');
+    }));
+    prefetchObserver.observe(titleElement);
+
+    badgeRefreshers.set(titleElement, async () => {
+      if (currentProductDetails && (isHovered || isPinned)) {
+        await fetchAndUpdatePrice(true);
+      }
     });
 
     retryButton.addEventListener('click', async (e) => {
@@ -862,24 +1821,34 @@ async function processProduct(product) {
       e.stopPropagation();
       
       if (currentProductDetails?.link) {
-        const agent = PLATFORM_CONFIG.agents[PLATFORM_CONFIG.preferredAgent];
-        
-        let buyUrl;
-        if (agent.formatUrl) {
-          const productId = currentProductDetails.platform === 'weidian' 
-            ? extractWeidianId(`https://${currentProductDetails.link}`)
-            : extractTaobaoId(`https://${currentProductDetails.link}`);
-          
-          buyUrl = agent.formatUrl(currentProductDetails.platform, productId);
-        } else {
-          const encodedUrl = encodeURIComponent(`https://${currentProductDetails.link}`);
-          buyUrl = `${agent.baseUrl}${encodedUrl}`;
-        }
+        const buyUrl = buildAgentUrl(
+          PLATFORM_CONFIG.preferredAgent,
+          currentProductDetails.platform,
+          currentProductDetails.link
+        );
         
         window.open(buyUrl, '_blank');
       }
     });
 
+    haulButton.addEventListener('click', async (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+
+      if (currentProductDetails?.link) {
+        const note = prompt('Size / colour note (optional):');
+        if (note === null) {
+          return;
+        }
+
+        const item = await haulManager.add(titleElement.href, {
+          ...currentProductDetails,
+          title: productTitle
+        }, note);
+        haulButton.textContent = `In Haul (${item.quantity})`;
+      }
+    });
+
   } catch (error) {
     console.error('Error processing product:', error);
   }
@@ -919,13 +1888,352 @@ async function processProducts() {
   }
 }
 
+/**
+ * Reads the album title from the album header, falling back to the document title.
+ * @returns {string} The album title
+ */
+function getAlbumTitle() {
+  return document.querySelector(LINK_SOURCES_CONFIG.containers.title)?.textContent.trim() || document.title;
+}
+
+/**
+ * Finds the cover image of an album page.
+ * @param {Document} doc - The album document
+ * @returns {string|null} The absolute image URL
+ */
+function getAlbumThumbnail(doc) {
+  for (const selector of BOOKMARK_CONFIG.thumbnailSelectors) {
+    const element = doc.querySelector(selector);
+    const src = element?.getAttribute('content') || element?.getAttribute('data-origin-src') ||
+                element?.getAttribute('data-src') || element?.getAttribute('src');
+    if (src) {
+      return new URL(src, window.location.href).href;
+    }
+  }
+  return null;
+}
+
+/**
+ * Captures what a bookmark keeps about an album besides the user's own fields: the cover
+ * thumbnail when the album is the current page, and a snapshot of the selected price and link
+ * from the given product details or the product cache.
+ * @async
+ * @param {string} url - The album URL
+ * @param {Object} [productDetails] - Product details already loaded for the album
+ * @returns {Promise<Object>} { thumbnail, snapshot }
+ */
+async function captureBookmarkDetails(url, productDetails = null) {
+  const details = productDetails || await productCache.get(url);
+
+  return {
+    thumbnail: url === window.location.href ? getAlbumThumbnail(document) : null,
+    snapshot: details?.link ? {
+      platform: details.platform,
+      id: details.id || null,
+      link: details.link,
+      price: parsePriceText(details.price),
+      timestamp: Date.now()
+    } : null
+  };
+}
+
+/**
+ * Creates the controls that add the current album to the price watch list, change its target
+ * price or stop watching it.
+ * The background worker re-checks watched items and notifies when the price drops
+ * to the target (or below the last seen price when no target is given) or returns to stock.
+ * 
+ * @async
+ * @param {Object} productDetails - The selected platform details (platform, id, price,
+ * availability)
+ * @returns {Promise<HTMLElement>} The watch controls
+ */
+async function createWatchButton(productDetails) {
+  const container = document.createElement('div');
+  container.style.display = 'flex';
+  container.style.gap = '8px';
+  container.style.marginTop = '10px';
+
+  const button = document.createElement('span');
+  button.className = 'album-price-panel-agent';
+  button.style.display = 'inline-block';
+
+  const stopButton = document.createElement('span');
+  stopButton.className = 'album-price-panel-agent';
+  stopButton.textContent = 'Stop Watching';
+
+  const render = watch => {
+    button.textContent = !watch ? 'Watch Price'
+      : watch.targetPrice ? `Watching ≤ ¥${watch.targetPrice}`
+      : 'Watching Price';
+    button.title = watch ? 'Change the target price' : '';
+    stopButton.style.display = watch ? 'inline-block' : 'none';
+  };
+
+  button.addEventListener('click', async () => {
+    const existing = await bookmarkManager.get(window.location.href);
+    const input = prompt(
+      'Notify me when the price drops to (¥, leave empty for any drop):',
+      existing?.watch?.targetPrice ?? ''
+    );
+    if (input === null) {
+      return;
+    }
+
+    const watch = existing?.watch
+      ? { ...existing.watch, targetPrice: parsePriceText(input) }
+      : {
+        platform: productDetails.platform,
+        id: productDetails.id,
+        targetPrice: parsePriceText(input),
+        lastPrice: parsePriceText(productDetails.price),
+        // Unknown when the lookup failed, so a later successful check isn't taken as a restock
+        inStock: { available: true, unavailable: false }[productDetails.availability] ?? null
+      };
+
+    try {
+      await bookmarkManager.add(existing?.title || getAlbumTitle(), window.location.href, {
+        ...(existing?.watch ? {} : await captureBookmarkDetails(window.location.href, productDetails)),
+        watch
+      });
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    render(watch);
+  });
+
+  stopButton.addEventListener('click', async () => {
+    const existing = await bookmarkManager.get(window.location.href);
+    if (existing) {
+      await bookmarkManager.add(existing.title, window.location.href, { watch: null });
+    }
+    render(null);
+  });
+
+  render((await bookmarkManager.get(window.location.href))?.watch);
+  container.appendChild(button);
+  container.appendChild(stopButton);
+  return container;
+}
+
+/**
+ * Adds an inline price panel to the header of an album page.
+ * Prices are read from the already-loaded album description instead of re-fetching the page,
+ * and the panel lists every linked platform along with a Quick Buy action for each agent.
+ * 
+ * @async
+ * @function processAlbumPage
+ * @returns {Promise<void>} A promise that resolves once the panel has been rendered
+ */
+async function processAlbumPage() {
+  const subtitle = document.querySelector('.showalbumheader__gallerysubtitle');
+  if (!subtitle || document.querySelector('.album-price-panel')) {
+    return;
+  }
+
+  if (!document.getElementById('album-price-panel-style')) {
+    const style = document.createElement('style');
+    style.id = 'album-price-panel-style';
+    style.textContent = `
+      .album-price-panel {
+        margin: 12px 0;
+        padding: 12px 16px;
+        border: 1px solid #e5e7eb;
+        border-radius: 8px;
+        background: #f9fafb;
+        font-size: 14px;
+        color: #111827;
+      }
+
+      .album-price-panel-price {
+        font-size: 18px;
+        font-weight: 600;
+        color: #2e7d32;
+        margin-bottom: 8px;
+      }
+
+      .album-price-panel-row {
+        display: flex;
+        gap: 8px;
+        align-items: center;
+        padding: 2px 0;
+      }
+
+      .album-price-panel-row.cheapest span {
+        color: #2e7d32;
+        font-weight: 600;
+      }
+
+      .album-price-panel-row a {
+        color: #1976d2;
+        text-decoration: none;
+      }
+
+      .album-price-panel-variants {
+        margin-top: 8px;
+        padding-top: 8px;
+        border-top: 1px solid #e0e0e0;
+      }
+
+      .album-price-panel-agents {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin-top: 10px;
+      }
+
+      .album-price-panel-agent {
+        padding: 2px 8px;
+        border-radius: 2px;
+        background: #1976d2;
+        color: #ffffff;
+        cursor: pointer;
+        font-size: 0.9em;
+      }
+
+      .album-price-panel-agent.preferred {
+        background: #2e7d32;
+      }
+    `;
+    document.head.appendChild(style);
+  }
+
+  const panel = document.createElement('div');
+  panel.className = 'album-price-panel';
+
+  const priceLine = document.createElement('div');
+  priceLine.className = 'album-price-panel-price';
+  priceLine.textContent = 'Loading...';
+  panel.appendChild(priceLine);
+
+  subtitle.insertAdjacentElement('afterend', panel);
+
+  try {
+    const { prices, variants } = await fetchPlatformPrices(document);
+    await sellerDirectory.recordAlbum(window.location.href, variants.length > 0);
+    const weight = estimateItemWeight(getAlbumText(document));
+    await productCache.set(window.location.href, { ...selectPlatformPrice(prices), prices, variants, weight });
+    await renderAlbumPanel(panel, { prices, variants, weight });
+  } catch (error) {
+    console.error('Error processing album page:', error);
+    priceLine.textContent = 'Error';
+  }
+}
+
+/**
+ * Fills the album price panel from the album's prices, using the current settings for the
+ * platform, currency and agents. Runs again whenever the settings change.
+ * 
+ * @async
+ * @function renderAlbumPanel
+ * @param {HTMLElement} panel - The panel added by processAlbumPage
+ * @param {Object} album - The album's prices, variants and estimated weight
+ * @returns {Promise<void>}
+ */
+async function renderAlbumPanel(panel, { prices, variants, weight }) {
+  const productDetails = selectPlatformPrice(prices);
+  // Built aside and swapped in at the end, so the panel never shows a half-drawn state
+  const content = document.createDocumentFragment();
+
+  const priceLine = document.createElement('div');
+  priceLine.className = 'album-price-panel-price';
+  priceLine.textContent = await formatDisplayPrice(productDetails.price);
+  priceLine.title = await describeDisplayPrice(productDetails.price);
+  content.appendChild(priceLine);
+
+  const landed = await describeLandedCost({ ...productDetails, weight });
+  if (landed) {
+    const landedLine = document.createElement('div');
+    landedLine.className = 'album-price-panel-row';
+    landedLine.textContent = landed.text;
+    landedLine.title = landed.title;
+    content.appendChild(landedLine);
+  }
+
+  const cheapest = getCheapestPlatform(prices);
+
+  for (const [platform, data] of Object.entries(prices)) {
+    if (!data.link) continue;
+
+    const row = document.createElement('div');
+    row.className = `album-price-panel-row ${platform === cheapest ? 'cheapest' : ''}`;
+
+    const label = document.createElement('span');
+    label.textContent = `${PLATFORM_CONFIG.platforms[platform].label}: ${await formatDisplayPrice(data.price)}`;
+    label.title = data.sources ? `Link found in: ${data.sources.join(', ')}` : '';
+
+    const link = document.createElement('a');
+    link.href = `https://${data.link}`;
+    link.target = '_blank';
+    link.textContent = 'Open';
+
+    const quickBuy = document.createElement('a');
+    quickBuy.href = buildAgentUrl(PLATFORM_CONFIG.preferredAgent, platform, data.link);
+    quickBuy.target = '_blank';
+    quickBuy.textContent = 'Quick Buy';
+
+    row.appendChild(label);
+    row.appendChild(link);
+    row.appendChild(quickBuy);
+    content.appendChild(row);
+  }
+
+  if (variants.length > 1) {
+    const variantList = document.createElement('div');
+    variantList.className = 'album-price-panel-variants';
+    await updateVariantList(variantList, variants);
+    content.appendChild(variantList);
+  }
+
+  if (productDetails.link) {
+    // No price provider can check watches on some platforms (1688)
+    if (productDetails.id && productDetails.errorCode !== 'UNSUPPORTED_PLATFORM') {
+      content.appendChild(await createWatchButton(productDetails));
+    }
+
+    const agents = document.createElement('div');
+    agents.className = 'album-price-panel-agents';
+
+    Object.keys(PLATFORM_CONFIG.agents).forEach(agentName => {
+      const button = document.createElement('span');
+      button.className = `album-price-panel-agent ${agentName === PLATFORM_CONFIG.preferredAgent ? 'preferred' : ''}`;
+      button.textContent = PLATFORM_CONFIG.agents[agentName].label;
+      button.addEventListener('click', () => {
+        window.open(buildAgentUrl(agentName, productDetails.platform, productDetails.link), '_blank');
+      });
+      agents.appendChild(button);
+    });
+
+    content.appendChild(agents);
+  }
+
+  panel.replaceChildren(content);
+}
+
+/**
+ * Redraws the album price panel, if there is one, from the cached album prices.
+ * 
+ * @async
+ * @function refreshAlbumPanel
+ * @returns {Promise<void>}
+ */
+async function refreshAlbumPanel() {
+  const panel = document.querySelector('.album-price-panel');
+  const album = panel && await productCache.get(window.location.href);
+  if (album?.prices) {
+    await renderAlbumPanel(panel, album);
+  }
+}
+
 /**
  * Initializes the extension by setting up the UI, processing products, and adding animation styles.
  * This function performs the following tasks:
  * 1. Waits for the product cache to initialize
  * 2. Sets up the user interface
  * 3. Schedules product processing with a delay
- * 4. Adds CSS animation styles to the document
+ * 4. Adds the price panel when viewing an album page
+ * 5. Adds CSS animation styles to the document
  * 
  * @async
  * @function initializeExtension
@@ -936,10 +2244,16 @@ async function initializeExtension() {
   try {
     await productCache.waitForInitialization();
     await loadPreferences();
+    await sellerDirectory.recordVisit(window.location.hostname, getStoreName());
     await initializeDarkMode();
     initializeUI()
+    createBookmarksButton();
     setTimeout(processProducts, 250);
 
+    if (window.location.pathname.includes('/albums/')) {
+      setTimeout(processAlbumPage, 250);
+    }
+
     const style = document.createElement("style");
     style.textContent = `
       @keyframes spin {
@@ -986,12 +2300,7 @@ observer.observe(document.body, {
 
 async function loadPreferences() {
   try {
-    const result = await chrome.storage.local.get('preferences');
-    if (result.preferences) {
-      PLATFORM_CONFIG.preferredPlatform = result.preferences.platform || PLATFORM_CONFIG.preferredPlatform;
-      PLATFORM_CONFIG.preferredAgent = result.preferences.agent || PLATFORM_CONFIG.preferredAgent;
-      PLATFORM_CONFIG.preferredCurrency = result.preferences.currency || PLATFORM_CONFIG.preferredCurrency;
-    }
+    applySettings(await loadSettings());
 
     await fetchExchangeRates();
   } catch (error) {
@@ -999,23 +2308,70 @@ async function loadPreferences() {
   }
 }
 
-async function savePreferences(platform, agent, currency) {
+async function savePreferences(platform, agent, currency, strategy) {
   try {
-    await chrome.storage.local.set({
-      preferences: {
-        platform,
-        agent,
-        currency
-      }
-    });
-    PLATFORM_CONFIG.preferredPlatform = platform;
-    PLATFORM_CONFIG.preferredAgent = agent;
-    PLATFORM_CONFIG.preferredCurrency = currency;
+    applySettings(await saveSettings({ platform, agent, currency, strategy }));
   } catch (error) {
     console.error('Error saving preferences:', error);
   }
 }
 
+/**
+ * Copies the user's settings into PLATFORM_CONFIG and the fee, rate and shipping configs, and
+ * merges their custom agents into the agent registry, falling back to the default agent if the
+ * preferred one is not registered.
+ * @param {Object} settings - The settings from loadSettings
+ */
+function applySettings(settings) {
+  Object.assign(PLATFORM_CONFIG, {
+    preferredPlatform: settings.platform,
+    platformStrategy: settings.strategy,
+    preferredAgent: settings.agent,
+    preferredCurrency: settings.currency,
+    prefetchPrices: settings.prefetch
+  });
+  FEE_CONFIG.overrides = settings.fees;
+  AGENT_RATE_CONFIG.overrides = settings.rates;
+  Object.assign(SHIPPING_CONFIG, settings.shipping);
+  applyCustomAgents(settings.customAgents);
+
+  if (!PLATFORM_CONFIG.agents[PLATFORM_CONFIG.preferredAgent]) {
+    PLATFORM_CONFIG.preferredAgent = 'superbuy';
+  }
+}
+
+/**
+ * Redraws the prices already on the page with the current settings: every badge that is
+ * showing a price, and the album price panel. Other badges use the new settings once shown.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function refreshPriceDisplays() {
+  for (const [titleElement, refresh] of badgeRefreshers) {
+    if (titleElement.isConnected) {
+      await refresh();
+    } else {
+      badgeRefreshers.delete(titleElement);
+    }
+  }
+  await refreshAlbumPanel();
+}
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message.type === 'queueState') {
+    const { queued } = message.state;
+    document.querySelectorAll('span[data-loading]').forEach(badge => {
+      badge.textContent = queued > 0 ? `Loading... (${queued} queued)` : 'Loading...';
+    });
+  }
+});
+
+onSettingsChanged(settings => {
+  applySettings(settings);
+  refreshPrefetchObserver();
+  refreshPriceDisplays();
+});
+
 function createSelect(options, value) {
   const select = document.createElement('select');
   select.style.padding = '5px';
@@ -1463,24 +2819,31 @@ function showSettingsPopup() {
   let selectedPlatform = PLATFORM_CONFIG.preferredPlatform;
   let selectedAgent = PLATFORM_CONFIG.preferredAgent;
   let selectedCurrency = PLATFORM_CONFIG.preferredCurrency;
+  let selectedStrategy = PLATFORM_CONFIG.platformStrategy;
 
-  const platformOptions = Object.keys(PLATFORM_CONFIG.platforms).map(platform => ({
-    value: platform,
-    label: platform.charAt(0).toUpperCase() + platform.slice(1)
-  }));
+  const platformOptions = Object.entries(PLATFORM_CONFIG.platforms)
+    .filter(([, { priced }]) => priced !== false)
+    .map(([platform, { label }]) => ({
+      value: platform,
+      label
+    }));
 
-  const agentOptions = Object.keys(PLATFORM_CONFIG.agents).map(agent => ({
+  const agentOptions = Object.entries(PLATFORM_CONFIG.agents).map(([agent, { label }]) => ({
     value: agent,
-    label: agent.charAt(0).toUpperCase() + agent.slice(1)
+    label
   }));
 
-  const currencyOptions = [
-    { value: 'usd', label: 'USD ($)' },
-    { value: 'eur', label: 'EUR (€)' },
-    { value: 'gbp', label: 'GBP (£)' },
-    { value: 'try', label: 'TRY (₺)' }
+  const strategyOptions = [
+    { value: 'preferred', label: 'Preferred platform first' },
+    { value: 'cheapest', label: 'Cheapest available' },
+    { value: 'preferredOnly', label: 'Preferred platform only' }
   ];
 
+  const currencyOptions = getSupportedCurrencies().map(currency => ({
+    value: currency,
+    label: getCurrencyLabel(currency)
+  }));
+
   const platformSelect = createCustomSelect(
     'Preferred Platform',
     platformOptions,
@@ -1488,6 +2851,13 @@ function showSettingsPopup() {
     value => selectedPlatform = value
   );
 
+  const strategySelect = createCustomSelect(
+    'Platform Selection',
+    strategyOptions,
+    selectedStrategy,
+    value => selectedStrategy = value
+  );
+
   const agentSelect = createCustomSelect(
     'Preferred Agent',
     agentOptions,
@@ -1503,6 +2873,7 @@ function showSettingsPopup() {
   );
 
   generalPanel.appendChild(platformSelect);
+  generalPanel.appendChild(strategySelect);
   generalPanel.appendChild(agentSelect);
   generalPanel.appendChild(currencySelect);
 
@@ -1513,17 +2884,17 @@ function showSettingsPopup() {
     const stats = document.createElement('div');
     stats.className = 'cache-stats';
     
-    const items = await productCache.data.size;
-    const version = CACHE_CONFIG.version;
-    const lastCleanup = await chrome.storage.local.get('cacheMetadata')
-      .then(data => new Date(data.cacheMetadata?.lastCleanup || 0).toLocaleString());
+    const cacheStats = await productCache.getStats();
 
     const statItems = [
-      ['Cached Items', items],
-      ['Cache Version', version],
-      ['Last Cleanup', lastCleanup],
-      ['Max Items', CACHE_CONFIG.maxItems],
-      ['Max Age', `${CACHE_CONFIG.maxAge / (24 * 60 * 60 * 1000)} days`]
+      ['Cached Items', cacheStats.items],
+      ['Stores', cacheStats.stores],
+      ['Cache Size', `${(cacheStats.bytes / 1024).toFixed(0)} KB`],
+      ['Cache Version', cacheStats.version],
+      ['Last Cleanup', new Date(cacheStats.lastCleanup || 0).toLocaleString()],
+      ['Max Items', cacheStats.maxItems],
+      ['Max Size', `${(cacheStats.maxBytes / (1024 * 1024)).toFixed(0)} MB`],
+      ['Max Age', `${cacheStats.maxAge / (24 * 60 * 60 * 1000)} days`]
     ];
 
     statItems.forEach(([label, value]) => {
@@ -1551,11 +2922,7 @@ function showSettingsPopup() {
   };
 
   const exportCache = async () => {
-    const data = {
-      version: CACHE_CONFIG.version,
-      timestamp: Date.now(),
-      items: Object.fromEntries(productCache.data)
-    };
+    const data = await productCache.exportEntries();
     
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
@@ -1579,14 +2946,7 @@ function showSettingsPopup() {
         const text = await file.text();
         const data = JSON.parse(text);
         
-        if (data.version !== CACHE_CONFIG.version) {
-          throw new Error('Cache version mismatch');
-        }
-        
-        await productCache.clearCache();
-        for (const [key, value] of Object.entries(data.items)) {
-          await productCache.set(key, value.data);
-        }
+        await productCache.importEntries(data);
         
         const newStats = await createCacheStats();
         const oldStats = cachePanel.querySelector('.cache-stats');
@@ -1694,7 +3054,7 @@ function showSettingsPopup() {
   };
 
   saveButton.addEventListener('click', async () => {
-    await savePreferences(selectedPlatform, selectedAgent, selectedCurrency);
+    await savePreferences(selectedPlatform, selectedAgent, selectedCurrency, selectedStrategy);
     closePopup();
   });
 
@@ -1709,6 +3069,31 @@ function showSettingsPopup() {
   });
 }
 
+/**
+ * Adds the floating button that opens the bookmark manager on every Yupoo page.
+ */
+function createBookmarksButton() {
+  if (document.getElementById('easyupoo-bookmarks-button')) {
+    return;
+  }
+
+  const button = document.createElement('div');
+  button.id = 'easyupoo-bookmarks-button';
+  button.textContent = '🔖';
+  button.title = 'Bookmarks';
+  button.style.position = 'fixed';
+  button.style.bottom = '20px';
+  button.style.right = '20px';
+  button.style.zIndex = '10000';
+  button.style.backgroundColor = '#ffffff';
+  button.style.padding = '8px';
+  button.style.borderRadius = '50%';
+  button.style.cursor = 'pointer';
+  button.style.boxShadow = '0 2px 5px rgba(0,0,0,0.2)';
+  button.addEventListener('click', showBookmarksPopup);
+  document.body.appendChild(button);
+}
+
 function showBookmarksPopup() {
   const style = document.createElement('style');
   style.textContent = `
@@ -1731,7 +3116,7 @@ function showBookmarksPopup() {
       background: white;
       padding: 24px;
       border-radius: 16px;
-      width: 400px;
+      width: 480px;
       max-width: 90%;
       opacity: 0;
       transform: translateY(16px);
@@ -1739,45 +3124,111 @@ function showBookmarksPopup() {
     }
 
     .bookmark-title {
-      margin: 0 0 24px;
+      margin: 0 0 16px;
       font-size: 24px;
       font-weight: 600;
       color: #111827;
     }
 
+    .bookmark-toolbar {
+      display: grid;
+      grid-template-columns: 2fr 1fr 1fr;
+      gap: 8px;
+      margin-bottom: 12px;
+    }
+
+    .bookmark-toolbar input,
+    .bookmark-toolbar select,
+    .bookmark-form input,
+    .bookmark-form textarea {
+      padding: 8px;
+      border: 1px solid #e5e7eb;
+      border-radius: 6px;
+      font-size: 13px;
+      font-family: inherit;
+      color: #111827;
+      box-sizing: border-box;
+      width: 100%;
+    }
+
     .bookmark-list {
-      max-height: 300px;
+      max-height: 360px;
       overflow-y: auto;
       margin-bottom: 16px;
     }
 
     .bookmark-item {
       display: flex;
-      align-items: center;
-      justify-content: space-between;
+      align-items: flex-start;
+      gap: 12px;
       padding: 12px;
       border: 1px solid #e5e7eb;
       border-radius: 8px;
       margin-bottom: 8px;
     }
 
+    .bookmark-item-thumbnail {
+      width: 48px;
+      height: 48px;
+      object-fit: cover;
+      border-radius: 6px;
+      background: #f3f4f6;
+      flex-shrink: 0;
+    }
+
+    .bookmark-item-body {
+      flex: 1;
+      min-width: 0;
+    }
+
     .bookmark-item-title {
       font-weight: 500;
       color: #111827;
       text-decoration: none;
     }
 
+    .bookmark-item-meta,
+    .bookmark-item-notes {
+      font-size: 12px;
+      color: #6b7280;
+      margin-top: 4px;
+    }
+
+    .bookmark-item-actions {
+      display: flex;
+      gap: 4px;
+    }
+
+    .bookmark-item-edit,
     .bookmark-item-remove {
-      color: #ef4444;
       cursor: pointer;
       padding: 4px 8px;
       border-radius: 4px;
     }
 
+    .bookmark-item-edit {
+      color: #2563eb;
+    }
+
+    .bookmark-item-edit:hover {
+      background: #eff6ff;
+    }
+
+    .bookmark-item-remove {
+      color: #ef4444;
+    }
+
     .bookmark-item-remove:hover {
       background: #fef2f2;
     }
 
+    .bookmark-form {
+      display: none;
+      flex-direction: column;
+      gap: 8px;
+      margin-bottom: 16px;
+    }
+
     .bookmark-add {
       width: 100%;
       padding: 12px;
@@ -1812,65 +3263,203 @@ function showBookmarksPopup() {
   title.className = 'bookmark-title';
   title.textContent = 'Bookmarks';
 
+  const toolbar = document.createElement('div');
+  toolbar.className = 'bookmark-toolbar';
+
+  const searchInput = document.createElement('input');
+  searchInput.type = 'text';
+  searchInput.placeholder = 'Search title, tag or note';
+
+  const folderSelect = document.createElement('select');
+
+  const sortSelect = document.createElement('select');
+  Object.entries(BOOKMARK_SORTS).forEach(([value, { label }]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    sortSelect.appendChild(option);
+  });
+
+  toolbar.appendChild(searchInput);
+  toolbar.appendChild(folderSelect);
+  toolbar.appendChild(sortSelect);
+
   const bookmarkList = document.createElement('div');
   bookmarkList.className = 'bookmark-list';
 
+  const form = document.createElement('div');
+  form.className = 'bookmark-form';
+  form.innerHTML = `
+    <input type="text" data-field="title" placeholder="Title">
+    <input type="text" data-field="folder" placeholder="Folder" list="bookmark-folders">
+    <datalist id="bookmark-folders"></datalist>
+    <input type="text" data-field="tags" placeholder="Tags, separated by commas">
+    <textarea data-field="notes" rows="2" placeholder="Notes"></textarea>
+  `;
+  const field = name => form.querySelector(`[data-field="${name}"]`);
+
   const addButton = document.createElement('button');
   addButton.className = 'bookmark-add';
-  addButton.textContent = 'Add Current Page';
+
+  let editing = null;
+
+  const showList = () => {
+    editing = null;
+    form.style.display = 'none';
+    toolbar.style.display = 'grid';
+    bookmarkList.style.display = 'block';
+    addButton.textContent = 'Bookmark Current Page';
+  };
+
+  const showForm = (bookmark) => {
+    editing = bookmark;
+    field('title').value = bookmark.title;
+    field('folder').value = bookmark.folder;
+    field('tags').value = bookmark.tags.join(', ');
+    field('notes').value = bookmark.notes;
+    form.style.display = 'flex';
+    toolbar.style.display = 'none';
+    bookmarkList.style.display = 'none';
+    addButton.textContent = 'Save Bookmark';
+    field('title').focus();
+  };
 
   const updateBookmarkList = async () => {
     const bookmarks = await bookmarkManager.getAll();
+    const folders = getBookmarkFolders(bookmarks);
+    const selectedFolder = folderSelect.options.length > 0 ? folderSelect.value : '*';
+
+    folderSelect.innerHTML = '<option value="*">All folders</option><option value="">Unsorted</option>';
+    form.querySelector('datalist').innerHTML = '';
+    folders.forEach(folder => {
+      const option = document.createElement('option');
+      option.value = folder;
+      option.textContent = folder;
+      folderSelect.appendChild(option);
+      form.querySelector('datalist').appendChild(option.cloneNode(true));
+    });
+    folderSelect.value = ['*', '', ...folders].includes(selectedFolder) ? selectedFolder : '*';
+
+    const results = searchBookmarks(bookmarks, {
+      query: searchInput.value,
+      folder: folderSelect.value === '*' ? null : folderSelect.value,
+      sort: sortSelect.value
+    });
     bookmarkList.innerHTML = '';
 
-    if (bookmarks.length === 0) {
+    if (results.length === 0) {
       const emptyState = document.createElement('div');
       emptyState.className = 'bookmark-empty';
-      emptyState.textContent = 'No bookmarks yet';
+      emptyState.textContent = bookmarks.length === 0 ? 'No bookmarks yet' : 'No bookmarks match your search';
       bookmarkList.appendChild(emptyState);
-    } else {
-      bookmarks.forEach(bookmark => {
-        const item = document.createElement('div');
-        item.className = 'bookmark-item';
-
-        const link = document.createElement('a');
-        link.className = 'bookmark-item-title';
-        link.href = bookmark.url;
-        link.textContent = bookmark.title;
-        link.target = '_blank';
-
-        const removeButton = document.createElement('span');
-        removeButton.className = 'bookmark-item-remove';
-        removeButton.textContent = '✕';
-        removeButton.onclick = async (e) => {
-          e.preventDefault();
-          await bookmarkManager.remove(bookmark.url);
-          updateBookmarkList();
-        };
-
-        item.appendChild(link);
-        item.appendChild(removeButton);
-        bookmarkList.appendChild(item);
-      });
+      return;
+    }
+
+    for (const bookmark of results) {
+      const item = document.createElement('div');
+      item.className = 'bookmark-item';
+
+      const thumbnail = document.createElement('img');
+      thumbnail.className = 'bookmark-item-thumbnail';
+      thumbnail.alt = '';
+      if (bookmark.thumbnail) {
+        thumbnail.src = bookmark.thumbnail;
+      }
+
+      const body = document.createElement('div');
+      body.className = 'bookmark-item-body';
+
+      const link = document.createElement('a');
+      link.className = 'bookmark-item-title';
+      link.href = bookmark.url;
+      link.textContent = bookmark.title;
+      link.target = '_blank';
+
+      const meta = document.createElement('div');
+      meta.className = 'bookmark-item-meta';
+      meta.textContent = [
+        bookmark.folder || 'Unsorted',
+        bookmark.snapshot?.price != null ? await formatDisplayPrice(`¥${bookmark.snapshot.price}`) : null,
+        bookmark.snapshot?.platform ? PLATFORM_CONFIG.platforms[bookmark.snapshot.platform]?.label : null,
+        bookmark.watch ? 'Watching' : null,
+        bookmark.tags.map(tag => `#${tag}`).join(' ')
+      ].filter(Boolean).join(' · ');
+
+      body.appendChild(link);
+      body.appendChild(meta);
+
+      if (bookmark.notes) {
+        const notes = document.createElement('div');
+        notes.className = 'bookmark-item-notes';
+        notes.textContent = bookmark.notes;
+        body.appendChild(notes);
+      }
+
+      const actions = document.createElement('div');
+      actions.className = 'bookmark-item-actions';
+
+      const editButton = document.createElement('span');
+      editButton.className = 'bookmark-item-edit';
+      editButton.textContent = 'Edit';
+      editButton.onclick = () => showForm(bookmark);
+
+      const removeButton = document.createElement('span');
+      removeButton.className = 'bookmark-item-remove';
+      removeButton.textContent = '✕';
+      removeButton.onclick = async (e) => {
+        e.preventDefault();
+        await bookmarkManager.remove(bookmark.url);
+        updateBookmarkList();
+      };
+
+      actions.appendChild(editButton);
+      actions.appendChild(removeButton);
+      item.appendChild(thumbnail);
+      item.appendChild(body);
+      item.appendChild(actions);
+      bookmarkList.appendChild(item);
     }
   };
 
-  const promptForTitle = () => {
-    const title = prompt('Enter a title for this bookmark:');
-    if (title) {
-      bookmarkManager.add(title, window.location.href);
-      updateBookmarkList();
+  addButton.onclick = async () => {
+    if (!editing) {
+      const existing = await bookmarkManager.get(window.location.href);
+      showForm(existing || normalizeBookmark({ title: getAlbumTitle(), url: window.location.href }));
+      return;
+    }
+
+    const captured = editing.url === window.location.href
+      ? await captureBookmarkDetails(editing.url)
+      : {};
+    try {
+      await bookmarkManager.add(field('title').value.trim() || editing.title, editing.url, {
+        folder: field('folder').value.trim(),
+        tags: parseBookmarkTags(field('tags').value),
+        notes: field('notes').value.trim(),
+        thumbnail: captured.thumbnail || editing.thumbnail,
+        snapshot: captured.snapshot || editing.snapshot
+      });
+    } catch (error) {
+      alert(error.message);
+      return;
     }
+    showList();
+    updateBookmarkList();
   };
 
-  addButton.onclick = promptForTitle;
+  searchInput.addEventListener('input', updateBookmarkList);
+  folderSelect.addEventListener('change', updateBookmarkList);
+  sortSelect.addEventListener('change', updateBookmarkList);
 
   popup.appendChild(title);
+  popup.appendChild(toolbar);
   popup.appendChild(bookmarkList);
+  popup.appendChild(form);
   popup.appendChild(addButton);
   overlay.appendChild(popup);
   document.body.appendChild(overlay);
 
+  showList();
   updateBookmarkList();
 
   requestAnimationFrame(() => {
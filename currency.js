@@ -0,0 +1,253 @@
+/**
+ * Currency conversion shared by the content script and the popup.
+ * Rates are fetched from the fawazahmed0 currency API with CNY as the base currency and
+ * persisted in chrome.storage.local with their timestamp, so tabs share one download and
+ * the last known rates keep working offline.
+ */
+const CURRENCY_CACHE = {
+  version: '1.0.0',
+  storageKey: 'exchangeRates',
+  rates: null,
+  lastUpdate: null,
+  lastAttempt: null,
+  pending: null,
+  updateInterval: 1 * 60 * 60 * 1000,
+  retryInterval: 5 * 60 * 1000,
+  fallbackCurrencies: ['cny', 'usd', 'eur', 'gbp', 'try'],
+  formatters: new Map()
+};
+
+/**
+ * Tells whether the rates in memory are recent enough to use without checking for new ones.
+ * @returns {boolean} True if the rates are fresh
+ */
+function hasFreshExchangeRates() {
+  return Boolean(CURRENCY_CACHE.rates && CURRENCY_CACHE.lastUpdate &&
+    Date.now() - CURRENCY_CACHE.lastUpdate < CURRENCY_CACHE.updateInterval);
+}
+
+/**
+ * Loads the exchange rates, preferring in order: fresh rates in memory, fresh rates persisted
+ * by another page, a new download, and finally the last known rates however old they are.
+ * Concurrent callers share one load, and after a download fails the network isn't tried again
+ * for CURRENCY_CACHE.retryInterval, so every price shown meanwhile uses the last known rates.
+ * @async
+ * @returns {Promise<Object>} Rates keyed by lowercase currency code, relative to CNY
+ * @throws {Error} If no source answers and no rates were ever stored
+ */
+async function fetchExchangeRates() {
+  if (hasFreshExchangeRates()) {
+    return CURRENCY_CACHE.rates;
+  }
+
+  if (!CURRENCY_CACHE.pending) {
+    CURRENCY_CACHE.pending = loadExchangeRates().finally(() => {
+      CURRENCY_CACHE.pending = null;
+    });
+  }
+  return CURRENCY_CACHE.pending;
+}
+
+/**
+ * Reads newer rates stored by another page, or downloads them; see fetchExchangeRates.
+ * @async
+ * @returns {Promise<Object>} Rates keyed by lowercase currency code, relative to CNY
+ */
+async function loadExchangeRates() {
+  const stored = (await chrome.storage.local.get(CURRENCY_CACHE.storageKey))[CURRENCY_CACHE.storageKey];
+  if (stored?.version === CURRENCY_CACHE.version && stored.lastUpdate > (CURRENCY_CACHE.lastUpdate || 0)) {
+    CURRENCY_CACHE.rates = stored.rates;
+    CURRENCY_CACHE.lastUpdate = stored.lastUpdate;
+    if (hasFreshExchangeRates()) {
+      return CURRENCY_CACHE.rates;
+    }
+  }
+
+  if (Date.now() - (CURRENCY_CACHE.lastAttempt || 0) < CURRENCY_CACHE.retryInterval) {
+    if (CURRENCY_CACHE.rates) {
+      return CURRENCY_CACHE.rates;
+    }
+    throw new Error('Exchange rates are unavailable, retrying later');
+  }
+  CURRENCY_CACHE.lastAttempt = Date.now();
+
+  const urls = [
+    'https://cdn.jsdelivr.net/npm/@fawazahmed0/currency-api@latest/v1/currencies/cny.json',
+    'https://latest.currency-api.pages.dev/v1/currencies/cny.json'
+  ];
+
+  for (const url of urls) {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) continue;
+
+      const data = await response.json();
+      CURRENCY_CACHE.rates = data.cny;
+      CURRENCY_CACHE.lastUpdate = Date.now();
+      await chrome.storage.local.set({
+        [CURRENCY_CACHE.storageKey]: {
+          version: CURRENCY_CACHE.version,
+          rates: CURRENCY_CACHE.rates,
+          lastUpdate: CURRENCY_CACHE.lastUpdate
+        }
+      });
+      return CURRENCY_CACHE.rates;
+    } catch (error) {
+      console.error(`Error fetching rates from ${url}:`, error);
+    }
+  }
+
+  if (CURRENCY_CACHE.rates) {
+    console.warn('Using exchange rates from', new Date(CURRENCY_CACHE.lastUpdate).toLocaleString());
+    return CURRENCY_CACHE.rates;
+  }
+
+  throw new Error('Failed to fetch exchange rates from all sources');
+}
+
+/**
+ * Agent exchange rate overrides. Agents bill in CNY converted at their own rate, which is set
+ * either as a manual rate or as a spread over the market rate:
+ * - { agent, currency, type: 'rate', value }: value is the CNY charged per unit of currency,
+ *   as agents usually display it (e.g. 7.05 for "1 USD = 7.05 CNY")
+ * - { agent, currency, type: 'spread', value }: value is the percentage added to the market rate
+ * `agent` and `currency` may be '*' to match any agent or currency. Amounts shown in CNY are
+ * never converted, so no override applies to them.
+ */
+const AGENT_RATE_CONFIG = {
+  overrides: []
+};
+
+function convertCurrency(amount, fromCurrency, toCurrency) {
+  if (!CURRENCY_CACHE.rates) return amount;
+
+  const rate = CURRENCY_CACHE.rates[toCurrency.toLowerCase()];
+  if (!rate) return amount;
+
+  const converted = amount * rate;
+  return Number(converted.toFixed(2));
+}
+
+/**
+ * Picks the most specific exchange rate override for an agent and currency.
+ * @param {string} agent - The agent name
+ * @param {string} currency - The lowercase currency code
+ * @param {Object[]} [overrides=AGENT_RATE_CONFIG.overrides] - The overrides to choose from
+ * @returns {Object|null} The matching override
+ */
+function findAgentRateOverride(agent, currency, overrides = AGENT_RATE_CONFIG.overrides) {
+  const score = override => (override.agent === agent ? 2 : 0) + (override.currency === currency ? 1 : 0);
+
+  return overrides
+    .filter(override => (override.agent === '*' || override.agent === agent) &&
+                        (override.currency === '*' || override.currency === currency))
+    .sort((a, b) => score(b) - score(a))[0] || null;
+}
+
+/**
+ * Resolves the rate an agent converts CNY at, applying the user's override to the market rate.
+ * @param {string} agent - The agent name
+ * @param {string} currency - The target currency code, in any casing
+ * @returns {number|null} Units of currency per CNY, or null if the market rate is unknown
+ * and no manual rate is set
+ */
+function getAgentRate(agent, currency) {
+  const code = currency.toLowerCase();
+  const marketRate = CURRENCY_CACHE.rates?.[code] || null;
+  const override = code === 'cny' ? null : findAgentRateOverride(agent, code);
+
+  if (override?.type === 'rate' && override.value > 0) {
+    return 1 / override.value;
+  }
+  if (override?.type === 'spread' && marketRate) {
+    return marketRate * (1 + override.value / 100);
+  }
+  return marketRate;
+}
+
+/**
+ * Converts a CNY amount at the rate the agent bills at.
+ * @param {number} amount - The amount in CNY
+ * @param {string} agent - The agent name
+ * @param {string} toCurrency - The target currency code
+ * @returns {number} The converted amount, or the unconverted amount if no rate is known
+ */
+function convertCurrencyForAgent(amount, agent, toCurrency) {
+  const rate = getAgentRate(agent, toCurrency);
+  if (!rate) return amount;
+
+  return Number((amount * rate).toFixed(2));
+}
+
+/**
+ * Formats an amount in the user's locale, e.g. "$12.50", "12,50 €" or "CN¥89.00".
+ * @param {number} amount - The amount
+ * @param {string} currency - The currency code, in any casing
+ * @returns {string} The formatted amount
+ */
+function formatCurrency(amount, currency) {
+  const code = currency.toUpperCase();
+
+  if (!CURRENCY_CACHE.formatters.has(code)) {
+    let formatter = null;
+    try {
+      formatter = new Intl.NumberFormat(undefined, { style: 'currency', currency: code });
+    } catch (error) {
+      // Not an ISO 4217 code, such as some of the feed's crypto currencies
+    }
+    CURRENCY_CACHE.formatters.set(code, formatter);
+  }
+
+  const formatter = CURRENCY_CACHE.formatters.get(code);
+  return formatter ? formatter.format(amount) : `${amount} ${code}`;
+}
+
+/**
+ * Lists the currencies that can be displayed: every currency in the rates feed, or a short
+ * built-in list until rates have been loaded.
+ * @returns {string[]} Lowercase currency codes, sorted
+ */
+function getSupportedCurrencies() {
+  if (!CURRENCY_CACHE.rates) {
+    return CURRENCY_CACHE.fallbackCurrencies;
+  }
+
+  return Object.keys(CURRENCY_CACHE.rates)
+    .filter(code => /^[a-z]{3}$/.test(code))
+    .sort();
+}
+
+/**
+ * Names a currency in the user's language, e.g. "USD – US Dollar".
+ * @param {string} currency - The currency code, in any casing
+ * @returns {string} The label, or just the code if the name is unknown
+ */
+function getCurrencyLabel(currency) {
+  const code = currency.toUpperCase();
+  try {
+    const name = new Intl.DisplayNames(undefined, { type: 'currency' }).of(code);
+    return name && name !== code ? `${code} – ${name}` : code;
+  } catch (error) {
+    return code;
+  }
+}
+
+/**
+ * Describes how old the loaded exchange rates are, e.g. "Rates updated 3 hr. ago". Rates past
+ * their update interval after fetchExchangeRates mean every source failed.
+ * @returns {string} The description, or an empty string if no rates are loaded
+ */
+function describeRateAge() {
+  if (!CURRENCY_CACHE.lastUpdate) {
+    return '';
+  }
+
+  const minutes = Math.floor((Date.now() - CURRENCY_CACHE.lastUpdate) / 60000);
+  const format = new Intl.RelativeTimeFormat(undefined, { numeric: 'auto', style: 'short' });
+  const age = minutes < 60 ? format.format(-minutes, 'minute')
+    : minutes < 48 * 60 ? format.format(-Math.floor(minutes / 60), 'hour')
+    : format.format(-Math.floor(minutes / (24 * 60)), 'day');
+
+  const stale = Date.now() - CURRENCY_CACHE.lastUpdate > CURRENCY_CACHE.updateInterval;
+  return `Rates updated ${age}${stale ? ' (offline, using last known rates)' : ''}`;
+}
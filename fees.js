@@ -0,0 +1,95 @@
+/**
+ * Agent fee model shared by the content script and the popup.
+ *
+ * Every agent is described by a fee model:
+ * - percentage: service fee applied to the item price
+ * - fixed: flat service fee per item, in CNY
+ * - tiers: optional [{ minOrder, percentage }] list; the tier with the highest minOrder
+ *   not above the order subtotal replaces `percentage`. A single item is its own order; a
+ *   haul passes its subtotal so every item gets the tier the whole order reaches
+ * - paymentPercentage: payment processing fee applied to the item price plus service fees
+ *
+ * Note: These are basic estimates and actual costs may vary based on
+ * shipping costs and promotions.
+ */
+const FEE_CONFIG = {
+  default: {
+    percentage: 3,
+    fixed: 0,
+    tiers: [],
+    paymentPercentage: 0
+  },
+  agents: {
+    superbuy: { percentage: 2.38 },
+    cssbuy: { percentage: 2 },
+    allchinabuy: { percentage: 4 }
+  },
+  overrides: {}
+};
+
+/**
+ * Resolves the fee model for an agent, layering user overrides over the built-in defaults.
+ * @param {string} agent - The agent name
+ * @param {Object} [overrides=FEE_CONFIG.overrides] - User-edited fee models keyed by agent
+ * @returns {Object} The complete fee model
+ */
+function getAgentFeeModel(agent, overrides = FEE_CONFIG.overrides) {
+  const name = agent.toLowerCase();
+  return {
+    ...FEE_CONFIG.default,
+    ...FEE_CONFIG.agents[name],
+    ...overrides[name]
+  };
+}
+
+/**
+ * Calculates every fee an agent charges on an item.
+ * 
+ * @param {number} price - The original price in CNY
+ * @param {string} agent - The agent name
+ * @param {number} [orderTotal=price] - The subtotal of the order the item is part of, in CNY,
+ *   which selects the fee tier
+ * @returns {Object} The breakdown: itemPrice, percentage, serviceFee, fixedFee, paymentFee and total
+ * 
+ * @example
+ * // Returns { itemPrice: 100, percentage: 2, serviceFee: 2, fixedFee: 0, paymentFee: 0, total: 102 }
+ * calculateAgentFeeBreakdown(100, 'cssbuy')
+ */
+function calculateAgentFeeBreakdown(price, agent, orderTotal = price) {
+  const model = getAgentFeeModel(agent);
+
+  const tier = [...(model.tiers || [])]
+    .sort((a, b) => b.minOrder - a.minOrder)
+    .find(t => orderTotal >= t.minOrder);
+  const percentage = tier ? tier.percentage : model.percentage;
+
+  const serviceFee = price * percentage / 100;
+  const fixedFee = model.fixed;
+  const paymentFee = (price + serviceFee + fixedFee) * model.paymentPercentage / 100;
+
+  return {
+    itemPrice: price,
+    percentage,
+    serviceFee,
+    fixedFee,
+    paymentPercentage: model.paymentPercentage,
+    paymentFee,
+    total: price + serviceFee + fixedFee + paymentFee
+  };
+}
+
+/**
+ * Calculates the final price including agent service fees.
+ * 
+ * @param {number} price - The original price in CNY
+ * @param {string} agent - The agent name ('superbuy', 'cssbuy', 'allchinabuy', ...)
+ * @param {number} [orderTotal=price] - The subtotal of the order the item is part of, in CNY
+ * @returns {number} The price with agent fee applied
+ * 
+ * @example
+ * // Returns 102.38
+ * calculateAgentFee(100, 'superbuy')
+ */
+function calculateAgentFee(price, agent, orderTotal = price) {
+  return calculateAgentFeeBreakdown(price, agent, orderTotal).total;
+}
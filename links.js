@@ -0,0 +1,114 @@
+/**
+ * Marketplace link recognition shared by the content script and the popup.
+ * Every supported link shape is normalised into a canonical { platform, id }.
+ *
+ * Supported shapes:
+ * - Taobao: item.taobao.com/item.htm?id=, item.taobao.com/<id>, m.intl.taobao.com and
+ *   h5.m.taobao.com links with an id parameter, a.m.taobao.com/i<id>.htm
+ * - Tmall: detail.tmall.com/item.htm?id= (looked up as Taobao, which shares the IDs)
+ * - Weidian: weidian.com/item.html and shop<n>.v.weidian.com with itemID/itemId in any
+ *   casing, koudai.com and vdian.com links
+ * - 1688: detail.1688.com/offer/<id>.html and m.1688.com/offer/<id>.html
+ */
+const MARKETPLACE_CONFIG = {
+  hosts: ['taobao.com', 'tmall.com', 'weidian.com', 'koudai.com', 'vdian.com', '1688.com'],
+  canonicalUrls: {
+    taobao: id => `https://item.taobao.com/item.htm?id=${id}`,
+    weidian: id => `https://weidian.com/item.html?itemID=${id}`,
+    1688: id => `https://detail.1688.com/offer/${id}.html`
+  }
+};
+
+/**
+ * Reads a query parameter regardless of the casing of its name.
+ * @param {URL} urlObj - The parsed URL
+ * @param {string} name - The parameter name, in lowercase
+ * @returns {string|null} The parameter value
+ */
+function getParamIgnoreCase(urlObj, name) {
+  for (const [key, value] of urlObj.searchParams) {
+    if (key.toLowerCase() === name) return value;
+  }
+  return null;
+}
+
+/**
+ * Normalises a marketplace URL into its platform and product ID.
+ * @param {string} url - The marketplace URL, with or without protocol
+ * @returns {Object|null} The canonical { platform, id }, or null if the URL isn't a recognised product link
+ * @example
+ * // Returns { platform: 'taobao', id: '12345' }
+ * parseMarketplaceUrl('https://a.m.taobao.com/i12345.htm')
+ * // Returns { platform: 'weidian', id: '7234120843' }
+ * parseMarketplaceUrl('shop123456.v.weidian.com/item.html?itemId=7234120843')
+ */
+function parseMarketplaceUrl(url) {
+  let urlObj;
+  try {
+    urlObj = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+  } catch (error) {
+    return null;
+  }
+
+  const host = urlObj.hostname.toLowerCase();
+  const isHost = domain => host === domain || host.endsWith(`.${domain}`);
+  // IDs are often followed straight away by a colourway, as in "itemID=456中文"
+  const numeric = value => value?.match(/^\d+/)?.[0] || null;
+
+  if (isHost('1688.com')) {
+    const id = urlObj.pathname.match(/\/offer\/(\d+)\.html/)?.[1];
+    return id ? { platform: '1688', id } : null;
+  }
+
+  if (isHost('weidian.com') || isHost('koudai.com') || isHost('vdian.com')) {
+    const id = numeric(getParamIgnoreCase(urlObj, 'itemid'));
+    return id ? { platform: 'weidian', id } : null;
+  }
+
+  if (isHost('taobao.com') || isHost('tmall.com')) {
+    const id = urlObj.pathname.match(/^\/i(\d+)\.htm/)?.[1] ||
+               numeric(getParamIgnoreCase(urlObj, 'id')) ||
+               urlObj.pathname.match(/\/(\d+)(?:\.html?)?$/)?.[1];
+    return id ? { platform: 'taobao', id } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Finds every recognised marketplace product link in a piece of text.
+ * A link ends at whitespace, quotes or the first non-ASCII character, so Chinese text and
+ * full-width punctuation written right after it aren't read as part of the URL.
+ * @param {string} text - Text that may contain marketplace links
+ * @returns {Object[]} { platform, id, link } for each link, in order of appearance, where
+ * `link` is the matched URL without protocol
+ * @example
+ * // Returns [{ platform: 'taobao', id: '789', link: 'item.taobao.com/item.htm?id=789' }]
+ * findMarketplaceLinks('item.taobao.com/item.htm?id=789（黑色）')
+ * // Returns [{ platform: 'taobao', id: '123', link: 'item.taobao.com/item.htm?id=123' }]
+ * findMarketplaceLinks('https://item.taobao.com/item.htm?id=123，白色')
+ * // Returns [{ platform: 'weidian', id: '456', link: 'weidian.com/item.html?itemID=456' }]
+ * findMarketplaceLinks('weidian.com/item.html?itemID=456中文')
+ */
+function findMarketplaceLinks(text) {
+  const hosts = MARKETPLACE_CONFIG.hosts.map(host => host.replace(/\./g, '\\.')).join('|');
+  const pattern = new RegExp(`(?:https?:\\/\\/)?(?:[\\w-]+\\.)*(?:${hosts})\\/[^\\s"'<>\\u0080-\\uffff]*`, 'gi');
+
+  return (text.match(pattern) || [])
+    .map(match => {
+      const link = match.replace(/^https?:\/\//i, '').replace(/[.,;)\]]+$/, '');
+      const parsed = parseMarketplaceUrl(link);
+      return parsed ? { ...parsed, link } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Builds the canonical product URL for a platform and product ID.
+ * @param {string} platform - The marketplace platform
+ * @param {string} id - The product ID
+ * @returns {string} The canonical URL
+ */
+function canonicalMarketplaceUrl(platform, id) {
+  return MARKETPLACE_CONFIG.canonicalUrls[platform](id);
+}
@@ -12,16 +12,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.querySelector('.main-content').classList.add('visible');
   }
 
-  const result = await chrome.storage.local.get(['preferences', 'PLATFORM_CONFIG']);
-  const config = result.PLATFORM_CONFIG || {
-    preferredPlatform: 'weidian',
-    preferredAgent: 'superbuy',
-    preferredCurrency: 'usd'
-  };
+  const settings = await loadSettings();
+
+  applyCustomAgents(settings.customAgents);
+  renderAgentOptions();
+  renderCustomAgents(settings.customAgents);
+
+  await renderCurrencyOptions();
 
-  document.getElementById('platform-select').value = result.preferences?.platform || config.preferredPlatform;
-  document.getElementById('agent-select').value = result.preferences?.agent || config.preferredAgent;
-  document.getElementById('currency-select').value = result.preferences?.currency || config.preferredCurrency;
+  document.getElementById('platform-select').value = settings.platform;
+  document.getElementById('strategy-select').value = settings.strategy;
+  document.getElementById('agent-select').value = settings.agent;
+  document.getElementById('currency-select').value = settings.currency;
+  document.getElementById('prefetch-prices').checked = settings.prefetch;
 
   document.querySelectorAll('.tab-button').forEach(button => {
     button.addEventListener('click', () => {
@@ -37,34 +40,57 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
   });
 
-  const darkModePreference = await chrome.storage.local.get('darkMode');
-  document.getElementById('dark-mode').checked = darkModePreference?.enabled || false;
+  const { syncState } = await chrome.storage.local.get('syncState');
+  updateSyncStatus(syncState);
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.syncState) {
+      updateSyncStatus(changes.syncState.newValue);
+    }
+  });
+
+  document.getElementById('sync-enabled').addEventListener('change', async (e) => {
+    await chrome.runtime.sendMessage({ type: 'setSyncEnabled', enabled: e.target.checked });
+  });
+
+  document.getElementById('dark-mode').checked = settings.darkMode;
+
+  renderFeeSettings(settings.fees);
+  renderRateLines(settings.rates);
+  renderShippingSettings({
+    destination: SHIPPING_CONFIG.destination,
+    lines: SHIPPING_CONFIG.lines,
+    ...settings.shipping
+  });
 
   await updateCacheStats();
+  await updatePriceHistory();
+  await updateHaul();
+  await updateSellers();
+  renderBookmarkSorts();
+  await updateBookmarks();
+  updateConvertedLinks();
 
   document.getElementById('save-button').addEventListener('click', async () => {
+    const [conflict] = findCustomAgentConflicts().values();
+    if (conflict) {
+      alert(`Custom agents: ${conflict}`);
+      return;
+    }
+
     const platform = document.getElementById('platform-select').value;
     const agent = document.getElementById('agent-select').value;
     const currency = document.getElementById('currency-select').value;
+    const strategy = document.getElementById('strategy-select').value;
+    const prefetch = document.getElementById('prefetch-prices').checked;
 
-    await chrome.storage.local.set({
-      preferences: { platform, agent, currency },
-      PLATFORM_CONFIG: {
-        ...config,
-        preferredPlatform: platform,
-        preferredAgent: agent,
-        preferredCurrency: currency
-      }
+    await saveSettings({
+      platform, agent, currency, strategy, prefetch,
+      fees: collectFeeOverrides(),
+      rates: collectRateLines(),
+      shipping: collectShippingSettings(),
+      customAgents: collectCustomAgents()
     });
 
-    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (tabs[0]?.id) {
-      await chrome.tabs.sendMessage(tabs[0].id, {
-        type: 'preferencesUpdated',
-        preferences: { platform, agent, currency }
-      });
-    }
-
     window.close();
   });
 
@@ -75,39 +101,661 @@ document.addEventListener('DOMContentLoaded', async () => {
   document.getElementById('export-cache').addEventListener('click', exportCache);
   document.getElementById('import-cache').addEventListener('click', importCache);
   document.getElementById('clear-cache').addEventListener('click', clearCache);
+  document.getElementById('export-history').addEventListener('click', exportPriceHistory);
+  document.getElementById('export-haul-csv').addEventListener('click', () => exportHaul('csv'));
+  document.getElementById('export-haul-json').addEventListener('click', () => exportHaul('json'));
+  document.getElementById('clear-haul').addEventListener('click', clearHaul);
+  document.getElementById('converter-input').addEventListener('input', updateConvertedLinks);
+  document.getElementById('seller-search').addEventListener('input', updateSellers);
+  document.getElementById('bookmark-search').addEventListener('input', updateBookmarks);
+  document.getElementById('bookmark-folder').addEventListener('change', updateBookmarks);
+  document.getElementById('bookmark-sort').addEventListener('change', updateBookmarks);
+  document.getElementById('agent-select').addEventListener('change', updateHaulTotals);
+  document.getElementById('currency-select').addEventListener('change', updateHaulTotals);
+  document.querySelector('.fee-list').addEventListener('change', updateHaulTotals);
+  document.getElementById('reset-fees').addEventListener('click', () => {
+    renderFeeSettings({});
+    renderRateLines([]);
+    updateHaulTotals();
+  });
+  document.getElementById('add-rate-line').addEventListener('click', () => {
+    addRateLine({ agent: '*', currency: document.getElementById('currency-select').value, type: 'spread', value: 0 });
+  });
+  document.getElementById('add-custom-agent').addEventListener('click', () => {
+    addCustomAgent({ label: '', template: 'https://', platformTemplates: {} });
+  });
+  document.getElementById('add-shipping-line').addEventListener('click', () => {
+    addShippingLine({ agent: '*', destination: '*', firstWeight: 500, firstPrice: 0, continuedWeight: 500, continuedPrice: 0 });
+  });
+  document.getElementById('reset-shipping').addEventListener('click', () => {
+    renderShippingSettings({
+      destination: document.getElementById('destination-select').value,
+      lines: SHIPPING_CONFIG.lines
+    });
+  });
 
   document.getElementById('dark-mode').addEventListener('change', async (e) => {
-    await chrome.storage.local.set({ darkMode: { enabled: e.target.checked } });
-    
-    const tabs = await chrome.tabs.query({});
-    for (const tab of tabs) {
-      try {
-        await chrome.tabs.sendMessage(tab.id, {
-          type: 'darkModeChanged',
-          enabled: e.target.checked
-        });
-      } catch (error) {
-        console.debug('Could not send dark mode message to tab:', tab.id);
+    await saveSettings({ darkMode: e.target.checked });
+  });
+});
+
+function formatFeeTiers(tiers) {
+  return tiers.map(tier => `${tier.minOrder}:${tier.percentage}`).join(', ');
+}
+
+function parseFeeTiers(text) {
+  return text.split(',')
+    .map(part => part.split(':').map(value => parseFloat(value)))
+    .filter(([minOrder, percentage]) => !isNaN(minOrder) && !isNaN(percentage))
+    .map(([minOrder, percentage]) => ({ minOrder, percentage }));
+}
+
+/**
+ * Creates a form input. Labels and values may come from custom agents, which are user input
+ * synced from other devices, so they are only ever set as text or properties.
+ * @param {string} field - The `data-field` the collect functions read
+ * @param {*} value - The initial value
+ * @param {Object} [attributes] - Other properties, such as type, step and min
+ * @returns {HTMLInputElement} The input
+ */
+function createInput(field, value, attributes = {}) {
+  const input = document.createElement('input');
+  Object.assign(input, { type: 'number', ...attributes });
+  input.dataset.field = field;
+  input.value = value;
+  return input;
+}
+
+/**
+ * Creates a select from [value, label] pairs.
+ * @param {string} field - The `data-field` the collect functions read
+ * @param {Array<Array<string>>} options - The [value, label] pairs
+ * @param {string} selected - The selected value
+ * @returns {HTMLSelectElement} The select
+ */
+function createSelect(field, options, selected) {
+  const select = document.createElement('select');
+  select.dataset.field = field;
+  options.forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === selected;
+    select.appendChild(option);
+  });
+  return select;
+}
+
+function renderFeeSettings(overrides) {
+  const list = document.querySelector('.fee-list');
+  list.innerHTML = '';
+
+  document.querySelectorAll('#agent-select option').forEach(option => {
+    const model = getAgentFeeModel(option.value, overrides);
+
+    const item = document.createElement('div');
+    item.className = 'fee-item';
+    item.dataset.agent = option.value;
+
+    const name = document.createElement('div');
+    name.className = 'fee-agent';
+    name.textContent = option.textContent;
+
+    const fields = document.createElement('div');
+    fields.className = 'fee-fields';
+    [
+      ['Service %', createInput('percentage', model.percentage, { step: '0.01', min: '0' })],
+      ['Fixed ¥', createInput('fixed', model.fixed, { step: '0.01', min: '0' })],
+      ['Payment %', createInput('paymentPercentage', model.paymentPercentage, { step: '0.01', min: '0' })],
+      ['Tiers (order ¥:service %)', createInput('tiers', formatFeeTiers(model.tiers), {
+        type: 'text',
+        placeholder: '0:5, 500:3'
+      })]
+    ].forEach(([text, input]) => {
+      const label = document.createElement('label');
+      label.className = input.dataset.field === 'tiers' ? 'fee-tiers' : '';
+      label.append(text, input);
+      fields.appendChild(label);
+    });
+
+    item.appendChild(name);
+    item.appendChild(fields);
+    list.appendChild(item);
+  });
+}
+
+function collectFeeOverrides() {
+  const overrides = {};
+
+  document.querySelectorAll('.fee-list .fee-item').forEach(item => {
+    const agent = item.dataset.agent;
+    const defaults = getAgentFeeModel(agent, {});
+    const override = {};
+
+    item.querySelectorAll('input').forEach(input => {
+      const field = input.dataset.field;
+      const value = field === 'tiers' ? parseFeeTiers(input.value) : parseFloat(input.value);
+
+      if (field !== 'tiers' && isNaN(value)) return;
+      if (JSON.stringify(value) !== JSON.stringify(defaults[field])) {
+        override[field] = value;
       }
+    });
+
+    if (Object.keys(override).length > 0) {
+      overrides[agent] = override;
     }
   });
-});
+
+  return overrides;
+}
+
+function updateSyncStatus(syncState) {
+  const status = document.getElementById('sync-status');
+  const state = { enabled: false, status: 'off', ...syncState };
+
+  document.getElementById('sync-enabled').checked = state.enabled;
+  status.className = `sync-status ${state.status}`;
+  status.title = state.error || '';
+  status.textContent = {
+    off: 'Off',
+    syncing: 'Syncing…',
+    synced: state.lastSync ? `Synced ${new Date(state.lastSync).toLocaleTimeString()}` : 'Synced',
+    error: 'Sync error',
+    overQuota: 'Over sync quota'
+  }[state.status] || state.status;
+
+  const message = document.getElementById('sync-message');
+  message.textContent = state.status === 'overQuota' ? state.error : '';
+  message.style.display = message.textContent ? 'block' : 'none';
+}
+
+function renderAgentOptions() {
+  const select = document.getElementById('agent-select');
+  const selected = select.value;
+  select.innerHTML = '';
+
+  Object.entries(AGENT_CONFIG.agents).forEach(([agent, { label }]) => {
+    const option = document.createElement('option');
+    option.value = agent;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+
+  select.value = AGENT_CONFIG.agents[selected] ? selected : 'superbuy';
+}
+
+async function renderCurrencyOptions() {
+  try {
+    await fetchExchangeRates();
+  } catch (error) {
+    console.error('Currency list uses built-in currencies:', error);
+  }
+
+  const select = document.getElementById('currency-select');
+  select.innerHTML = '';
+  getSupportedCurrencies().forEach(currency => {
+    const option = document.createElement('option');
+    option.value = currency;
+    option.textContent = getCurrencyLabel(currency);
+    select.appendChild(option);
+  });
+
+  document.getElementById('rate-age').textContent = describeRateAge();
+}
+
+function renderCustomAgents(customAgents) {
+  document.querySelector('.custom-agent-list').innerHTML = '';
+  customAgents.forEach(addCustomAgent);
+}
+
+function addCustomAgent(definition) {
+  const item = document.createElement('div');
+  item.className = 'fee-item custom-agent-item';
+
+  const platformFields = Object.keys(MARKETPLACE_CONFIG.canonicalUrls).map(platform => `
+    <label class="custom-agent-wide">${platform} link (optional)<input type="text" data-platform="${platform}"></label>
+  `).join('');
+
+  item.innerHTML = `
+    <div class="fee-agent">Custom agent <span class="custom-agent-remove">✕</span></div>
+    <div class="fee-fields">
+      <label class="custom-agent-wide">Name<input type="text" data-field="label"></label>
+      <label class="custom-agent-wide">Link template<input type="text" data-field="template" placeholder="https://agent.com/item?url={url}"></label>
+      ${platformFields}
+    </div>
+    <div class="custom-agent-preview"></div>
+  `;
+
+  item.querySelector('[data-field="label"]').value = definition.label;
+  item.querySelector('[data-field="template"]').value = definition.template;
+  item.querySelectorAll('[data-platform]').forEach(input => {
+    input.value = definition.platformTemplates?.[input.dataset.platform] || '';
+  });
+
+  item.querySelector('.custom-agent-remove').addEventListener('click', () => {
+    item.remove();
+    refreshCustomAgents();
+  });
+  item.addEventListener('input', refreshCustomAgents);
+
+  document.querySelector('.custom-agent-list').appendChild(item);
+  updateCustomAgentPreview(item);
+}
+
+function readCustomAgent(item) {
+  const platformTemplates = {};
+  item.querySelectorAll('[data-platform]').forEach(input => {
+    if (input.value.trim()) {
+      platformTemplates[input.dataset.platform] = input.value.trim();
+    }
+  });
+
+  return {
+    label: item.querySelector('[data-field="label"]').value.trim(),
+    template: item.querySelector('[data-field="template"]').value.trim(),
+    platformTemplates
+  };
+}
+
+/**
+ * Finds the custom agents that can't be saved because their name has no letters or digits, or
+ * reduces to the same key as an earlier custom agent, which it would silently replace.
+ * @returns {Map<HTMLElement, string>} The problem with each such custom agent item
+ */
+function findCustomAgentConflicts() {
+  const conflicts = new Map();
+  const taken = new Set();
+
+  document.querySelectorAll('.custom-agent-item').forEach(item => {
+    const { label } = readCustomAgent(item);
+    const key = getCustomAgentKey(label);
+
+    if (!label) return;
+    if (!key) {
+      conflicts.set(item, 'The name needs at least one letter or digit');
+    } else if (taken.has(key)) {
+      conflicts.set(item, `"${label}" is too close to the name of another custom agent`);
+    }
+    taken.add(key);
+  });
+
+  return conflicts;
+}
+
+function collectCustomAgents() {
+  const conflicts = findCustomAgentConflicts();
+  return Array.from(document.querySelectorAll('.custom-agent-item'))
+    .filter(item => !conflicts.has(item))
+    .map(readCustomAgent)
+    .filter(definition => getCustomAgentKey(definition.label) && definition.template);
+}
+
+function updateCustomAgentPreview(item, conflict) {
+  const definition = readCustomAgent(item);
+  const preview = item.querySelector('.custom-agent-preview');
+  preview.classList.toggle('custom-agent-error', Boolean(conflict));
+
+  if (conflict) {
+    preview.textContent = conflict;
+    return;
+  }
+
+  if (!definition.template) {
+    preview.textContent = 'Enter a link template to see a preview';
+    return;
+  }
+
+  const agent = createTemplateAgent(definition);
+  const samples = { taobao: '675330231400', weidian: '7234120843', 1688: '610947572360' };
+  preview.innerHTML = '';
+  Object.entries(samples).forEach(([platform, id]) => {
+    const line = document.createElement('div');
+    line.textContent = `${platform}: ${agent.formatUrl(platform, id)}`;
+    preview.appendChild(line);
+  });
+}
+
+function refreshCustomAgents() {
+  const conflicts = findCustomAgentConflicts();
+  document.querySelectorAll('.custom-agent-item')
+    .forEach(item => updateCustomAgentPreview(item, conflicts.get(item)));
+
+  const feeOverrides = collectFeeOverrides();
+  applyCustomAgents(collectCustomAgents());
+  renderAgentOptions();
+  renderFeeSettings(feeOverrides);
+  updateConvertedLinks();
+}
+
+function renderRateLines(overrides) {
+  document.querySelector('.rate-lines').innerHTML = '';
+  overrides.forEach(addRateLine);
+}
+
+function addRateLine(override) {
+  const row = document.createElement('div');
+  row.className = 'shipping-line rate-line';
+
+  const agentOptions = [['*', 'Any'], ...Array.from(document.querySelectorAll('#agent-select option'))
+    .map(option => [option.value, option.textContent])];
+  const currencyOptions = [['*', 'Any'], ...getSupportedCurrencies()
+    .filter(currency => currency !== 'cny')
+    .map(currency => [currency, currency.toUpperCase()])];
+  const typeOptions = [['spread', 'Spread'], ['rate', 'Rate']];
+
+  const remove = document.createElement('span');
+  remove.className = 'shipping-line-remove';
+  remove.textContent = '✕';
+
+  row.append(
+    createSelect('agent', agentOptions, override.agent),
+    createSelect('currency', currencyOptions, override.currency),
+    createSelect('type', typeOptions, override.type),
+    createInput('value', override.value, { step: '0.0001' }),
+    remove
+  );
+
+  remove.addEventListener('click', () => {
+    row.remove();
+    updateHaulTotals();
+  });
+  row.addEventListener('change', updateHaulTotals);
+  document.querySelector('.rate-lines').appendChild(row);
+}
+
+function collectRateLines() {
+  return Array.from(document.querySelectorAll('.rate-lines .rate-line')).map(row => {
+    const override = {};
+    row.querySelectorAll('[data-field]').forEach(input => {
+      const field = input.dataset.field;
+      override[field] = input.tagName === 'SELECT' ? input.value : parseFloat(input.value);
+    });
+    return override;
+  }).filter(override => !isNaN(override.value) && (override.type === 'spread' || override.value > 0));
+}
+
+function renderShippingSettings(settings) {
+  const destinationSelect = document.getElementById('destination-select');
+  destinationSelect.innerHTML = '';
+
+  Object.entries(SHIPPING_CONFIG.destinations).forEach(([code, name]) => {
+    const option = document.createElement('option');
+    option.value = code;
+    option.textContent = name;
+    option.selected = code === settings.destination;
+    destinationSelect.appendChild(option);
+  });
+
+  document.querySelector('.shipping-lines').innerHTML = '';
+  settings.lines.forEach(addShippingLine);
+}
+
+function addShippingLine(line) {
+  const row = document.createElement('div');
+  row.className = 'shipping-line';
+
+  const agentOptions = [['*', 'Any'], ...Array.from(document.querySelectorAll('#agent-select option'))
+    .map(option => [option.value, option.textContent])];
+  const destinationOptions = [['*', 'Any'], ...Object.keys(SHIPPING_CONFIG.destinations)
+    .map(code => [code, code.toUpperCase()])];
+
+  const remove = document.createElement('span');
+  remove.className = 'shipping-line-remove';
+  remove.textContent = '✕';
+
+  row.append(
+    createSelect('agent', agentOptions, line.agent),
+    createSelect('destination', destinationOptions, line.destination),
+    createInput('firstWeight', line.firstWeight, { min: '1' }),
+    createInput('firstPrice', line.firstPrice, { min: '0', step: '0.01' }),
+    createInput('continuedWeight', line.continuedWeight, { min: '1' }),
+    createInput('continuedPrice', line.continuedPrice, { min: '0', step: '0.01' }),
+    remove
+  );
+
+  remove.addEventListener('click', () => row.remove());
+  document.querySelector('.shipping-lines').appendChild(row);
+}
+
+function collectShippingSettings() {
+  const lines = Array.from(document.querySelectorAll('.shipping-lines .shipping-line')).map(row => {
+    const line = {};
+    row.querySelectorAll('[data-field]').forEach(input => {
+      const field = input.dataset.field;
+      line[field] = input.tagName === 'SELECT' ? input.value : parseFloat(input.value) || 0;
+    });
+    return line;
+  }).filter(line => line.firstWeight > 0 && line.continuedWeight > 0);
+
+  return {
+    destination: document.getElementById('destination-select').value,
+    lines
+  };
+}
+
+async function getHaulItems() {
+  const { haul = {} } = await chrome.storage.local.get('haul');
+  return Object.values(haul).sort((a, b) => a.timestamp - b.timestamp);
+}
+
+async function saveHaulItems(items) {
+  await chrome.storage.local.set({
+    haul: Object.fromEntries(items.map(item => [item.url, item]))
+  });
+}
+
+async function updateHaul() {
+  const list = document.querySelector('.haul-list');
+  const items = await getHaulItems();
+  list.innerHTML = '';
+
+  if (items.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'history-empty';
+    emptyState.textContent = 'Your haul is empty';
+    list.appendChild(emptyState);
+  }
+
+  items.forEach(item => {
+    const row = document.createElement('div');
+    row.className = 'haul-item';
+
+    const details = document.createElement('div');
+    const link = document.createElement('a');
+    link.href = item.url;
+    link.target = '_blank';
+    link.textContent = item.title;
+
+    const meta = document.createElement('div');
+    meta.className = 'haul-item-meta';
+    meta.textContent = [item.store, item.note, item.price !== null ? `¥${item.price}` : 'N/A']
+      .filter(Boolean)
+      .join(' · ');
+
+    details.appendChild(link);
+    details.appendChild(meta);
+
+    const quantity = document.createElement('input');
+    quantity.type = 'number';
+    quantity.min = '1';
+    quantity.value = item.quantity;
+    quantity.addEventListener('change', async () => {
+      item.quantity = Math.max(1, parseInt(quantity.value, 10) || 1);
+      quantity.value = item.quantity;
+      await saveHaulItems(items);
+      await updateHaulTotals();
+    });
+
+    const removeButton = document.createElement('span');
+    removeButton.className = 'haul-item-remove';
+    removeButton.textContent = '✕';
+    removeButton.addEventListener('click', async () => {
+      await saveHaulItems(items.filter(other => other !== item));
+      await updateHaul();
+    });
+
+    row.appendChild(details);
+    row.appendChild(quantity);
+    row.appendChild(removeButton);
+    list.appendChild(row);
+  });
+
+  await updateHaulTotals();
+}
+
+async function calculateHaulTotals(items) {
+  const agent = document.getElementById('agent-select').value;
+  const currency = document.getElementById('currency-select').value;
+
+  try {
+    await fetchExchangeRates();
+  } catch (error) {
+    console.error('Haul totals use unconverted prices:', error);
+  }
+
+  FEE_CONFIG.overrides = collectFeeOverrides();
+
+  const priced = items.filter(item => item.price !== null);
+  const subtotal = priced.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  const withFees = priced.reduce((sum, item) => sum + calculateAgentFee(item.price, agent, subtotal) * item.quantity, 0);
+
+  AGENT_RATE_CONFIG.overrides = collectRateLines();
+
+  return {
+    agent,
+    currency,
+    count: items.reduce((sum, item) => sum + item.quantity, 0),
+    unpriced: items.length - priced.length,
+    subtotal,
+    withFees,
+    converted: convertCurrency(withFees, 'cny', currency),
+    convertedForAgent: convertCurrencyForAgent(withFees, agent, currency)
+  };
+}
+
+async function updateHaulTotals() {
+  const stats = document.querySelector('.haul-totals');
+  const totals = await calculateHaulTotals(await getHaulItems());
+
+  stats.innerHTML = `
+    <div class="cache-stat-item">
+      <span>Items</span>
+      <span class="cache-stat-value">${totals.count}${totals.unpriced ? ` (${totals.unpriced} without price)` : ''}</span>
+    </div>
+    <div class="cache-stat-item">
+      <span>Subtotal</span>
+      <span class="cache-stat-value">¥${totals.subtotal.toFixed(2)}</span>
+    </div>
+    <div class="cache-stat-item">
+      <span>With ${totals.agent} fees</span>
+      <span class="cache-stat-value">¥${totals.withFees.toFixed(2)}</span>
+    </div>
+    <div class="cache-stat-item">
+      <span>Total (${totals.currency.toUpperCase()}, market rate)</span>
+      <span class="cache-stat-value">${formatCurrency(totals.converted, totals.currency)}</span>
+    </div>
+    <div class="cache-stat-item">
+      <span>Total (${totals.currency.toUpperCase()}, ${totals.agent} rate)</span>
+      <span class="cache-stat-value">${formatCurrency(totals.convertedForAgent, totals.currency)}</span>
+    </div>
+  `;
+}
+
+function toCsvValue(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function exportHaul(format) {
+  const items = await getHaulItems();
+  const totals = await calculateHaulTotals(items);
+  let content;
+  let type;
+
+  if (format === 'csv') {
+    const header = ['title', 'store', 'url', 'platform', 'link', 'note', 'quantity', 'price_cny', `total_${totals.currency}`];
+    const rows = items.map(item => [
+      item.title,
+      item.store,
+      item.url,
+      item.platform,
+      item.link ? `https://${item.link}` : '',
+      item.note,
+      item.quantity,
+      item.price,
+      item.price !== null
+        ? convertCurrency(calculateAgentFee(item.price, totals.agent, totals.subtotal) * item.quantity, 'cny', totals.currency)
+        : ''
+    ]);
+    content = [header, ...rows].map(row => row.map(toCsvValue).join(',')).join('\n');
+    type = 'text/csv';
+  } else {
+    content = JSON.stringify({ timestamp: Date.now(), totals, items }, null, 2);
+    type = 'application/json';
+  }
+
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `haul-${new Date().toISOString().split('T')[0]}.${format}`;
+  a.click();
+  
+  URL.revokeObjectURL(url);
+}
+
+async function clearHaul() {
+  if (confirm('Are you sure you want to clear the haul?')) {
+    await chrome.storage.local.remove('haul');
+    await updateHaul();
+  }
+}
+
+/**
+ * Sends a product cache request to the background worker, which owns the cache database.
+ * @param {string} type - A cache message type, such as 'cacheStats'
+ * @param {Object} [payload] - Extra message fields
+ * @returns {Promise<*>} The response data
+ * @throws {Error} If the worker reports a failure
+ */
+async function requestCache(type, payload = {}) {
+  const response = await chrome.runtime.sendMessage({ type, ...payload });
+  if (!response?.success) {
+    throw new Error(response?.error || `${type} failed`);
+  }
+  return response.data;
+}
 
 async function updateCacheStats() {
   const stats = document.querySelector('.cache-stats');
-  const result = await chrome.storage.local.get(['productCache', 'cacheMetadata']);
-  const cache = result.productCache || {};
-  const metadata = result.cacheMetadata || {};
+  let cacheStats;
+  try {
+    cacheStats = await requestCache('cacheStats');
+  } catch (error) {
+    console.error('Cache stats error:', error);
+    return;
+  }
 
-  const items = Object.keys(cache).length;
-  const version = metadata.version || '1.0.0';
-  const lastCleanup = new Date(metadata.lastCleanup || 0).toLocaleString();
+  const items = cacheStats.items;
+  const size = `${(cacheStats.bytes / 1024).toFixed(0)} KB of ${(cacheStats.maxBytes / (1024 * 1024)).toFixed(0)} MB`;
+  const version = cacheStats.version;
+  const lastCleanup = new Date(cacheStats.lastCleanup || 0).toLocaleString();
 
   stats.innerHTML = `
     <div class="cache-stat-item">
       <span>Cached Items</span>
       <span class="cache-stat-value">${items}</span>
     </div>
+    <div class="cache-stat-item">
+      <span>Stores</span>
+      <span class="cache-stat-value">${cacheStats.stores}</span>
+    </div>
+    <div class="cache-stat-item">
+      <span>Cache Size</span>
+      <span class="cache-stat-value">${size}</span>
+    </div>
     <div class="cache-stat-item">
       <span>Cache Version</span>
       <span class="cache-stat-value">${version}</span>
@@ -119,17 +767,428 @@ async function updateCacheStats() {
   `;
 }
 
-async function exportCache() {
-  const result = await chrome.storage.local.get(['productCache', 'cacheMetadata']);
+async function getBookmarks() {
+  const { bookmarks = {} } = await chrome.storage.local.get('bookmarks');
+  return bookmarks;
+}
+
+async function saveBookmark(url, changes) {
+  const bookmarks = await getBookmarks();
+  if (!bookmarks[url]) return;
+
+  if (changes === null) {
+    delete bookmarks[url];
+  } else {
+    bookmarks[url] = { ...bookmarks[url], ...changes };
+  }
+  await chrome.storage.local.set({ bookmarks });
+}
+
+/**
+ * Changes the price watch of a bookmark, keeping the worker's latest observation.
+ * @param {string} url - The bookmark URL
+ * @param {Object|null} changes - Watch fields to change, or null to stop watching
+ */
+async function saveWatch(url, changes) {
+  const watch = (await getBookmarks())[url]?.watch;
+  if (!watch) return;
+
+  await saveBookmark(url, { watch: changes === null ? null : { ...watch, ...changes } });
+}
+
+function renderBookmarkSorts() {
+  const select = document.getElementById('bookmark-sort');
+  Object.entries(BOOKMARK_SORTS).forEach(([value, { label }]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+}
+
+function renderBookmarkFolders(folders) {
+  const select = document.getElementById('bookmark-folder');
+  const selected = select.options.length > 0 ? select.value : '*';
+  select.innerHTML = '';
+
+  [['*', 'All folders'], ['', 'Unsorted'], ...folders.map(folder => [folder, folder])].forEach(([value, label]) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  });
+
+  select.value = ['*', '', ...folders].includes(selected) ? selected : '*';
+}
+
+async function updateBookmarks() {
+  const list = document.querySelector('.bookmark-list');
+  const bookmarks = Object.values(await getBookmarks()).map(normalizeBookmark);
+  const folders = getBookmarkFolders(bookmarks);
+  renderBookmarkFolders(folders);
+
+  const folder = document.getElementById('bookmark-folder').value;
+  const results = searchBookmarks(bookmarks, {
+    query: document.getElementById('bookmark-search').value,
+    folder: folder === '*' ? null : folder,
+    sort: document.getElementById('bookmark-sort').value
+  });
+
+  list.innerHTML = '';
+
+  if (results.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'history-empty';
+    emptyState.textContent = bookmarks.length === 0 ? 'No bookmarks yet' : 'No bookmarks match your search';
+    list.appendChild(emptyState);
+    return;
+  }
+
+  results.forEach(bookmark => {
+    const item = document.createElement('details');
+    item.className = 'bookmark-item';
+
+    const summary = document.createElement('summary');
+
+    const thumbnail = document.createElement('img');
+    thumbnail.className = 'bookmark-thumbnail';
+    thumbnail.alt = '';
+    if (bookmark.thumbnail) {
+      thumbnail.src = bookmark.thumbnail;
+    }
+
+    const link = document.createElement('a');
+    link.href = bookmark.url;
+    link.target = '_blank';
+    link.textContent = bookmark.title;
+
+    const removeButton = document.createElement('span');
+    removeButton.className = 'bookmark-remove';
+    removeButton.textContent = '✕';
+    removeButton.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await saveBookmark(bookmark.url, null);
+      await updateBookmarks();
+    });
+
+    summary.appendChild(thumbnail);
+    summary.appendChild(link);
+    summary.appendChild(removeButton);
+    item.appendChild(summary);
+
+    const meta = document.createElement('div');
+    meta.className = 'seller-meta';
+    meta.textContent = [
+      bookmark.folder || 'Unsorted',
+      bookmark.snapshot?.price != null ? `¥${bookmark.snapshot.price}` : null,
+      bookmark.watch ? (bookmark.watch.targetPrice ? `Watching ≤ ¥${bookmark.watch.targetPrice}` : 'Watching') : null,
+      new Date(bookmark.timestamp).toLocaleDateString(),
+      bookmark.tags.map(tag => `#${tag}`).join(' ')
+    ].filter(Boolean).join(' · ');
+    item.appendChild(meta);
+
+    const fields = document.createElement('div');
+    fields.className = 'seller-fields';
+
+    const folderInput = document.createElement('input');
+    folderInput.type = 'text';
+    folderInput.placeholder = 'Folder';
+    folderInput.value = bookmark.folder;
+    folderInput.addEventListener('change', async () => {
+      await saveBookmark(bookmark.url, { folder: folderInput.value.trim() });
+      await updateBookmarks();
+    });
+
+    const tags = document.createElement('input');
+    tags.type = 'text';
+    tags.placeholder = 'Tags, separated by commas';
+    tags.value = bookmark.tags.join(', ');
+    tags.addEventListener('change', async () => {
+      await saveBookmark(bookmark.url, { tags: parseBookmarkTags(tags.value) });
+      await updateBookmarks();
+    });
+
+    const notes = document.createElement('textarea');
+    notes.rows = 2;
+    notes.placeholder = 'Notes';
+    notes.value = bookmark.notes;
+    notes.addEventListener('change', () => saveBookmark(bookmark.url, { notes: notes.value.trim() }));
+
+    fields.appendChild(folderInput);
+    fields.appendChild(tags);
+    fields.appendChild(notes);
+
+    if (bookmark.watch) {
+      const watch = document.createElement('div');
+      watch.className = 'bookmark-watch';
+
+      const target = document.createElement('input');
+      target.type = 'number';
+      target.min = '0';
+      target.step = '0.01';
+      target.placeholder = 'Target price (¥), empty for any drop';
+      target.value = bookmark.watch.targetPrice ?? '';
+      target.addEventListener('change', async () => {
+        const value = parseFloat(target.value);
+        await saveWatch(bookmark.url, { targetPrice: value > 0 ? value : null });
+        await updateBookmarks();
+      });
+
+      const stopButton = document.createElement('button');
+      stopButton.className = 'cache-button danger';
+      stopButton.textContent = 'Stop watching';
+      stopButton.addEventListener('click', async () => {
+        await saveWatch(bookmark.url, null);
+        await updateBookmarks();
+      });
+
+      watch.appendChild(target);
+      watch.appendChild(stopButton);
+      fields.appendChild(watch);
+    }
+
+    item.appendChild(fields);
+
+    list.appendChild(item);
+  });
+}
+
+async function getSellers() {
+  const { sellers = {} } = await chrome.storage.local.get('sellers');
+  return sellers;
+}
+
+async function saveSeller(id, changes) {
+  const sellers = await getSellers();
+  if (!sellers[id]) return;
+
+  sellers[id] = { ...sellers[id], ...changes };
+  await chrome.storage.local.set({ sellers });
+}
+
+function getSellerCoverage(seller) {
+  const albums = Object.values(seller.albums || {});
+  const linked = albums.filter(Boolean).length;
+  return {
+    seen: albums.length,
+    linked,
+    percentage: albums.length > 0 ? Math.round(linked / albums.length * 100) : null
+  };
+}
+
+async function updateSellers() {
+  const list = document.querySelector('.seller-list');
+  const query = document.getElementById('seller-search').value.trim().toLowerCase();
+  const sellers = Object.values(await getSellers())
+    .filter(seller => !query || [seller.name, seller.id, seller.notes, ...(seller.tags || [])]
+      .some(value => value?.toLowerCase().includes(query)))
+    .sort((a, b) => (b.favourite ? 1 : 0) - (a.favourite ? 1 : 0) || b.lastVisit - a.lastVisit);
+
+  list.innerHTML = '';
+
+  if (sellers.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'history-empty';
+    emptyState.textContent = query ? 'No sellers match your search' : 'Visit a Yupoo store to add it here';
+    list.appendChild(emptyState);
+    return;
+  }
+
+  sellers.forEach(seller => {
+    const item = document.createElement('details');
+    item.className = 'seller-item';
+
+    const summary = document.createElement('summary');
+
+    const favourite = document.createElement('span');
+    favourite.className = `seller-favourite ${seller.favourite ? 'active' : ''}`;
+    favourite.textContent = '★';
+    favourite.title = seller.favourite ? 'Remove from favourites' : 'Add to favourites';
+    favourite.addEventListener('click', async (e) => {
+      e.preventDefault();
+      await saveSeller(seller.id, { favourite: !seller.favourite });
+      await updateSellers();
+    });
+
+    const link = document.createElement('a');
+    link.href = seller.url;
+    link.target = '_blank';
+    link.textContent = seller.name;
+    link.title = seller.url;
+
+    summary.appendChild(favourite);
+    summary.appendChild(link);
+    item.appendChild(summary);
+
+    const coverage = getSellerCoverage(seller);
+    const meta = document.createElement('div');
+    meta.className = 'seller-meta';
+    meta.textContent = [
+      `Last visit ${new Date(seller.lastVisit).toLocaleDateString()}`,
+      `${coverage.seen} albums seen`,
+      coverage.percentage !== null ? `${coverage.percentage}% with links` : null,
+      (seller.tags || []).map(tag => `#${tag}`).join(' ')
+    ].filter(Boolean).join(' · ');
+    item.appendChild(meta);
+
+    const fields = document.createElement('div');
+    fields.className = 'seller-fields';
+
+    const tags = document.createElement('input');
+    tags.type = 'text';
+    tags.placeholder = 'Tags, separated by commas';
+    tags.value = (seller.tags || []).join(', ');
+    tags.addEventListener('change', async () => {
+      await saveSeller(seller.id, {
+        tags: tags.value.split(',').map(tag => tag.trim()).filter(Boolean)
+      });
+      await updateSellers();
+    });
+
+    const notes = document.createElement('textarea');
+    notes.rows = 2;
+    notes.placeholder = 'Notes';
+    notes.value = seller.notes || '';
+    notes.addEventListener('change', () => saveSeller(seller.id, { notes: notes.value }));
+
+    fields.appendChild(tags);
+    fields.appendChild(notes);
+    item.appendChild(fields);
+
+    list.appendChild(item);
+  });
+}
+
+function updateConvertedLinks() {
+  const list = document.querySelector('.converter-list');
+  const url = document.getElementById('converter-input').value.trim();
+  const converted = url ? convertProductUrl(url) : null;
+
+  list.innerHTML = '';
+
+  if (!converted) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'history-empty';
+    emptyState.textContent = url ? 'Link not recognised' : 'Paste a link to convert it';
+    list.appendChild(emptyState);
+    return;
+  }
+
+  const rows = [
+    [`${converted.platform} #${converted.id}`, converted.marketplaceUrl],
+    ...Object.entries(converted.agents).map(([agent, link]) => [AGENT_CONFIG.agents[agent].label, link])
+  ];
+
+  rows.forEach(([label, link]) => {
+    const row = document.createElement('div');
+    row.className = 'converter-row';
+
+    const name = document.createElement('span');
+    name.textContent = label;
+
+    const open = document.createElement('a');
+    open.href = link;
+    open.target = '_blank';
+    open.textContent = 'Open';
+
+    const copy = document.createElement('span');
+    copy.className = 'converter-copy';
+    copy.textContent = 'Copy';
+
+    row.append(name, open, copy);
+    copy.addEventListener('click', async (e) => {
+      await navigator.clipboard.writeText(link);
+      e.target.textContent = 'Copied';
+      setTimeout(() => e.target.textContent = 'Copy', 1500);
+    });
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Reads every product's price history, which the content script stores under one
+ * `priceHistory:${platform}:${productId}` key per product.
+ * @async
+ * @returns {Promise<Object>} Entries keyed by `${platform}:${productId}`
+ */
+async function loadPriceHistory() {
+  const stored = await chrome.storage.local.get(null);
+  // `priceHistory` holds the single object written before the split, until a content script
+  // migrates it
+  const products = { ...stored.priceHistory };
+  Object.entries(stored)
+    .filter(([key, entries]) => key.startsWith('priceHistory:') && Array.isArray(entries))
+    .forEach(([key, entries]) => products[key.slice('priceHistory:'.length)] = entries);
+  return products;
+}
+
+async function updatePriceHistory() {
+  const list = document.querySelector('.history-list');
+  const priceHistory = await loadPriceHistory();
+  const products = Object.entries(priceHistory)
+    .filter(([, entries]) => entries.length > 0)
+    .sort(([, a], [, b]) => b[b.length - 1].timestamp - a[a.length - 1].timestamp);
+
+  list.innerHTML = '';
+
+  if (products.length === 0) {
+    const emptyState = document.createElement('div');
+    emptyState.className = 'history-empty';
+    emptyState.textContent = 'No price history yet';
+    list.appendChild(emptyState);
+    return;
+  }
+
+  products.forEach(([key, entries]) => {
+    const item = document.createElement('details');
+    item.className = 'history-item';
+
+    const summary = document.createElement('summary');
+    const latest = entries[entries.length - 1];
+    summary.innerHTML = `
+      <span>${key}</span>
+      <span class="cache-stat-value">¥${latest.price}</span>
+    `;
+    item.appendChild(summary);
+
+    [...entries].reverse().forEach(entry => {
+      const row = document.createElement('div');
+      row.className = 'history-entry';
+      row.innerHTML = `
+        <span>${new Date(entry.timestamp).toLocaleString()}</span>
+        <span>¥${entry.price}</span>
+      `;
+      item.appendChild(row);
+    });
+
+    list.appendChild(item);
+  });
+}
+
+async function exportPriceHistory() {
+  const priceHistory = await loadPriceHistory();
   const data = {
-    version: result.cacheMetadata?.version || '1.0.0',
     timestamp: Date.now(),
-    items: result.productCache || {}
+    items: priceHistory
   };
 
   const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
   const url = URL.createObjectURL(blob);
   
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `price-history-${new Date().toISOString().split('T')[0]}.json`;
+  a.click();
+  
+  URL.revokeObjectURL(url);
+}
+
+async function exportCache() {
+  const data = await requestCache('cacheExport');
+
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  
   const a = document.createElement('a');
   a.href = url;
   a.download = `cache-export-${new Date().toISOString().split('T')[0]}.json`;
@@ -153,13 +1212,7 @@ async function importCache() {
         throw new Error('Invalid cache file format');
       }
       
-      await chrome.storage.local.set({
-        productCache: data.items,
-        cacheMetadata: {
-          version: data.version,
-          lastCleanup: Date.now()
-        }
-      });
+      await requestCache('cacheImport', { data });
       
       await updateCacheStats();
     } catch (error) {
@@ -173,7 +1226,7 @@ async function importCache() {
 
 async function clearCache() {
   if (confirm('Are you sure you want to clear the cache?')) {
-    await chrome.storage.local.remove(['productCache', 'cacheMetadata']);
+    await requestCache('cacheClear');
     await updateCacheStats();
   }
 }
\ No newline at end of file
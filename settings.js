@@ -0,0 +1,180 @@
+/**
+ * User preferences shared by the content script and the popup.
+ *
+ * Settings are stored under one key as { version, values } and only read and written through
+ * loadSettings and saveSettings, which fill in defaults, reject invalid values and migrate
+ * settings stored by older versions. Every page that shows prices listens with
+ * onSettingsChanged, so a change made in the popup or in any tab applies to all open tabs.
+ * This covers everything the user configures: platform and agent choices, fee and rate
+ * overrides (see FEE_CONFIG and AGENT_RATE_CONFIG), shipping lines, custom agents and dark mode.
+ */
+const SETTINGS_CONFIG = {
+  version: 2,
+  storageKey: 'settings',
+  legacyKeys: [
+    'preferences', 'PLATFORM_CONFIG',
+    'agentFees', 'agentRates', 'shippingSettings', 'customAgents', 'darkMode'
+  ],
+  schema: {
+    platform: {
+      default: 'weidian',
+      // Only platforms a price provider supports; 1688 links can't be priced yet
+      validate: value => ['taobao', 'weidian'].includes(value)
+    },
+    strategy: {
+      default: 'preferred',
+      validate: value => ['preferred', 'cheapest', 'preferredOnly'].includes(value)
+    },
+    agent: {
+      default: 'superbuy',
+      validate: value => typeof value === 'string' && value.length > 0
+    },
+    currency: {
+      default: 'usd',
+      validate: value => typeof value === 'string' && /^[a-z]{3}$/.test(value)
+    },
+    prefetch: {
+      default: false,
+      validate: value => typeof value === 'boolean'
+    },
+    // Fee model overrides by agent, as { [agent]: { fixedFee, percentage, ... } }
+    fees: {
+      default: {},
+      validate: value => isPlainObject(value) && Object.values(value).every(isPlainObject)
+    },
+    // Exchange rate overrides, as { agent, currency, type: 'rate' | 'spread', value }
+    rates: {
+      default: [],
+      validate: value => Array.isArray(value) &&
+        value.every(rate => ['rate', 'spread'].includes(rate?.type) && typeof rate.value === 'number')
+    },
+    // Shipping overrides, as { destination, lines }; anything missing keeps SHIPPING_CONFIG's value
+    shipping: {
+      default: {},
+      validate: value => isPlainObject(value) &&
+        (value.destination === undefined || typeof value.destination === 'string') &&
+        (value.lines === undefined || Array.isArray(value.lines))
+    },
+    customAgents: {
+      default: [],
+      validate: value => Array.isArray(value) &&
+        value.every(agent => typeof agent?.label === 'string' && typeof agent.template === 'string')
+    },
+    darkMode: {
+      default: false,
+      validate: value => typeof value === 'boolean'
+    }
+  },
+  /**
+   * Steps that bring stored values up to a version, run in order for every version above the
+   * stored one. Each receives the values so far and the legacy keys read from storage.
+   */
+  migrations: [
+    {
+      // Preferences used to be split between `preferences`, written by the content script and
+      // the popup, and `PLATFORM_CONFIG`, written by the popup only
+      version: 1,
+      migrate: (values, { preferences = {}, PLATFORM_CONFIG: config = {} }) => ({
+        ...values,
+        platform: preferences.platform || config.preferredPlatform,
+        strategy: preferences.strategy || config.platformStrategy,
+        agent: preferences.agent || config.preferredAgent,
+        currency: preferences.currency || config.preferredCurrency,
+        prefetch: preferences.prefetch
+      })
+    },
+    {
+      // Fees, rates, shipping, custom agents and dark mode each had a key of their own
+      version: 2,
+      migrate: (values, { agentFees, agentRates, shippingSettings, customAgents, darkMode }) => ({
+        ...values,
+        fees: agentFees,
+        rates: agentRates,
+        shipping: shippingSettings,
+        customAgents,
+        darkMode: darkMode?.enabled
+      })
+    }
+  ]
+};
+
+/**
+ * @param {*} value - The value to check
+ * @returns {boolean} Whether the value is an object literal rather than null, an array or a class instance
+ */
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Checks settings against the schema, replacing missing or invalid values with their defaults.
+ * @param {Object} [values] - The settings to check
+ * @returns {Object} A complete, valid set of settings
+ */
+function validateSettings(values = {}) {
+  return Object.fromEntries(Object.entries(SETTINGS_CONFIG.schema).map(([key, field]) => {
+    const value = typeof values[key] === 'string' && key === 'currency'
+      ? values[key].toLowerCase()
+      : values[key];
+
+    if (value === undefined || !field.validate(value)) {
+      if (value !== undefined) {
+        console.warn(`Invalid ${key} setting, using the default:`, value);
+      }
+      return [key, field.default];
+    }
+    return [key, value];
+  }));
+}
+
+/**
+ * Reads the settings, migrating them first if they were stored by an older version. Migrated
+ * settings are written back and the legacy keys removed.
+ * @async
+ * @returns {Promise<Object>} The settings
+ */
+async function loadSettings() {
+  const { storageKey, version, legacyKeys, migrations } = SETTINGS_CONFIG;
+  const stored = (await chrome.storage.local.get(storageKey))[storageKey];
+
+  if (stored?.version >= version) {
+    return validateSettings(stored.values);
+  }
+
+  const legacy = await chrome.storage.local.get(legacyKeys);
+  const values = migrations
+    .filter(migration => migration.version > (stored?.version || 0))
+    .reduce((values, migration) => migration.migrate(values, legacy), stored?.values || {});
+
+  const settings = validateSettings(values);
+  await chrome.storage.local.set({ [storageKey]: { version, values: settings } });
+  await chrome.storage.local.remove(legacyKeys);
+  return settings;
+}
+
+/**
+ * Updates some settings, keeping the others.
+ * @async
+ * @param {Object} changes - The settings to change
+ * @returns {Promise<Object>} The settings as saved
+ */
+async function saveSettings(changes) {
+  const settings = validateSettings({ ...await loadSettings(), ...changes });
+  await chrome.storage.local.set({
+    [SETTINGS_CONFIG.storageKey]: { version: SETTINGS_CONFIG.version, values: settings }
+  });
+  return settings;
+}
+
+/**
+ * Calls back whenever the settings are saved, from this page or any other.
+ * @param {Function} callback - Receives the new settings
+ */
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    const change = changes[SETTINGS_CONFIG.storageKey];
+    if (areaName === 'local' && change) {
+      callback(validateSettings(change.newValue?.values));
+    }
+  });
+}
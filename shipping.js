@@ -0,0 +1,158 @@
+/**
+ * International shipping estimator shared by the content script and the popup.
+ *
+ * Shipping lines are priced by first weight / continued weight, in grams and CNY:
+ * the first `firstWeight` grams cost `firstPrice`, and every started `continuedWeight`
+ * grams after that cost `continuedPrice`. A line applies to one agent and destination,
+ * with '*' matching any. Item weights are parsed from album text when present, otherwise
+ * defaulted by a category guessed from keywords.
+ *
+ * Note: These are rough estimates; real rates depend on the shipping line,
+ * volumetric weight and packaging.
+ */
+const SHIPPING_CONFIG = {
+  destination: 'us',
+  destinations: {
+    us: 'United States',
+    uk: 'United Kingdom',
+    eu: 'European Union',
+    ca: 'Canada',
+    au: 'Australia',
+    tr: 'Turkey'
+  },
+  lines: [
+    { agent: '*', destination: '*', firstWeight: 500, firstPrice: 140, continuedWeight: 500, continuedPrice: 50 },
+    { agent: '*', destination: 'us', firstWeight: 500, firstPrice: 120, continuedWeight: 500, continuedPrice: 40 },
+    { agent: '*', destination: 'eu', firstWeight: 500, firstPrice: 130, continuedWeight: 500, continuedPrice: 45 },
+    { agent: '*', destination: 'uk', firstWeight: 500, firstPrice: 125, continuedWeight: 500, continuedPrice: 42 }
+  ],
+  categories: {
+    shoes: { weight: 1500, keywords: ['shoe', 'sneaker', 'boot', 'slide', 'jordan', 'dunk', 'yeezy', '鞋'] },
+    jacket: { weight: 1200, keywords: ['jacket', 'coat', 'puffer', 'parka', '外套', '羽绒'] },
+    hoodie: { weight: 800, keywords: ['hoodie', 'sweater', 'sweatshirt', 'crewneck', '卫衣'] },
+    pants: { weight: 600, keywords: ['pants', 'jeans', 'trousers', 'shorts', 'cargo', '裤'] },
+    tshirt: { weight: 250, keywords: ['t-shirt', 'tee', 'shirt', 'polo', 't恤'] },
+    bag: { weight: 900, keywords: ['bag', 'backpack', 'wallet', '包'] },
+    accessories: { weight: 150, keywords: ['belt', 'hat', 'cap', 'beanie', 'sock', 'scarf', 'glove'] }
+  },
+  defaultWeight: 500
+};
+
+/**
+ * Parses an explicit item weight such as "1.2kg", "850g" or "800克" from album text.
+ * The weight must stand on its own, and grams are only read from a lowercase "g" since "5G"
+ * and "4G" in titles are network generations.
+ * @param {string} text - The album title and description
+ * @returns {number|null} The weight in grams, or null if none is mentioned
+ * @example
+ * // Returns 1200
+ * parseWeightFromText('Puffer jacket 1.2KG')
+ * // Returns null
+ * parseWeightFromText('5G phone case')
+ */
+function parseWeightFromText(text) {
+  const match = text.match(/(?<![\w.])(\d+(?:\.\d+)?)\s*([kK][gG]|公斤|千克|g|克)(?![A-Za-z0-9])/);
+  if (!match) return null;
+
+  const value = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  const grams = ['kg', '公斤', '千克'].includes(unit) ? value * 1000 : value;
+  return grams > 0 ? Math.round(grams) : null;
+}
+
+/**
+ * Tells whether a category keyword appears in lowercased text. Latin keywords must be whole
+ * words, optionally plural, so 'tee' doesn't match "steel"; Chinese keywords have no word
+ * boundaries and match anywhere.
+ * @param {string} text - The lowercased album text
+ * @param {string} keyword - The category keyword
+ * @returns {boolean} True if the keyword appears
+ */
+function matchesCategoryKeyword(text, keyword) {
+  if (!/^[\x00-\x7f]+$/.test(keyword)) {
+    return text.includes(keyword);
+  }
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`\\b${escaped}(?:e?s)?\\b`).test(text);
+}
+
+/**
+ * Estimates an item's weight from its album text.
+ * @param {string} text - The album title and description
+ * @returns {Object} The weight in grams, its source ('parsed' or 'category') and the guessed category
+ * @example
+ * // Returns { weight: 500, source: 'category', category: null }
+ * estimateItemWeight('Steel necklace with capsule pendant')
+ * // Returns { weight: 1500, source: 'category', category: 'shoes' }
+ * estimateItemWeight('Dunk Low sneakers')
+ */
+function estimateItemWeight(text) {
+  const parsed = parseWeightFromText(text);
+  if (parsed) {
+    return { weight: parsed, source: 'parsed', category: null };
+  }
+
+  const lowerText = text.toLowerCase();
+  const [category, { weight } = {}] = Object.entries(SHIPPING_CONFIG.categories)
+    .find(([, data]) => data.keywords.some(keyword => matchesCategoryKeyword(lowerText, keyword))) || [];
+
+  return {
+    weight: weight || SHIPPING_CONFIG.defaultWeight,
+    source: 'category',
+    category: category || null
+  };
+}
+
+/**
+ * Picks the most specific shipping line for an agent and destination.
+ * @param {string} agent - The agent name
+ * @param {string} destination - The destination code
+ * @param {Object[]} [lines=SHIPPING_CONFIG.lines] - The shipping lines to choose from
+ * @returns {Object|null} The matching shipping line
+ */
+function findShippingLine(agent, destination, lines = SHIPPING_CONFIG.lines) {
+  const score = line => (line.agent === agent ? 2 : 0) + (line.destination === destination ? 1 : 0);
+
+  return lines
+    .filter(line => (line.agent === '*' || line.agent === agent) &&
+                    (line.destination === '*' || line.destination === destination))
+    .sort((a, b) => score(b) - score(a))[0] || null;
+}
+
+/**
+ * Calculates the shipping cost of a parcel on a shipping line.
+ * @param {number} weight - The parcel weight in grams
+ * @param {Object} line - The shipping line
+ * @returns {number} The shipping cost in CNY
+ * 
+ * @example
+ * // Returns 160 (first 500g for ¥120, one started 500g for ¥40)
+ * calculateShipping(800, { firstWeight: 500, firstPrice: 120, continuedWeight: 500, continuedPrice: 40 })
+ */
+function calculateShipping(weight, line) {
+  const extraWeight = Math.max(0, weight - line.firstWeight);
+  return line.firstPrice + Math.ceil(extraWeight / line.continuedWeight) * line.continuedPrice;
+}
+
+/**
+ * Estimates what an item costs delivered: item price with agent fees plus shipping.
+ * @param {number} price - The item price in CNY
+ * @param {string} agent - The agent name
+ * @param {number} weight - The item weight in grams
+ * @param {string} [destination=SHIPPING_CONFIG.destination] - The destination code
+ * @returns {Object|null} itemTotal, shipping and total in CNY, or null when no shipping line applies
+ */
+function estimateLandedCost(price, agent, weight, destination = SHIPPING_CONFIG.destination) {
+  const line = findShippingLine(agent, destination);
+  if (!line) return null;
+
+  const itemTotal = calculateAgentFee(price, agent);
+  const shipping = calculateShipping(weight, line);
+
+  return {
+    itemTotal,
+    shipping,
+    total: itemTotal + shipping,
+    line
+  };
+}